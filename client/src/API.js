@@ -2,6 +2,44 @@ import dayjs from 'dayjs';
 
 const SERVER_URL = 'http://localhost:3001/api/';
 
+// CSRF token of the session, sent with every request that changes something
+// It changes with the session (at login and logout), so it is fetched again then
+let csrfToken = null;
+
+/**
+ * This function returns the CSRF token of the session, asking the server only the first time.
+ */
+async function getCsrfToken() {
+  if (!csrfToken) {
+    const response = await fetch(SERVER_URL + 'csrf-token', { credentials: 'include' });
+    if (!response.ok) throw new Error('Cannot get the CSRF token');
+    csrfToken = (await response.json()).csrfToken;
+  }
+  return csrfToken;
+}
+
+/**
+ * Like fetch, for requests that change something (POST, PUT, PATCH, DELETE): it adds the
+ * CSRF token of the session. If the server refuses the token (e.g. the session expired),
+ * it gets a new one and sends the request again, once.
+ */
+async function fetchWithCsrf(url, options) {
+  const send = async () => fetch(url, {
+    ...options,
+    headers: { ...options.headers, 'X-CSRF-Token': await getCsrfToken() }
+  });
+
+  const response = await send();
+  if (response.status === 403) {
+    const error = await response.clone().json().catch(() => ({}));
+    if (error.code === 'EBADCSRFTOKEN') {
+      csrfToken = null;
+      return send();
+    }
+  }
+  return response;
+}
+
 /**
  * A utility function for parsing the HTTP response.
  */
@@ -32,55 +70,143 @@ function getJson(httpResponsePromise) {
   });
 }
 
+// Last menu payloads received, by URL: { etag, payload }
+const menuPayloads = new Map();
+
+/**
+ * Like getJson(fetch(url)), for the menu: the server tags it with an ETag, which is
+ * sent back in If-None-Match. While the menu does not change the server answers 304
+ * without a body, and the last payload is returned again.
+ */
+async function getMenuJson(url) {
+  const cached = menuPayloads.get(url);
+  const response = fetch(url, {
+    credentials: 'include',
+    headers: cached ? { 'If-None-Match': cached.etag } : {}
+  });
+
+  const notModified = await response.then(res => res.status === 304, () => false);
+  if (notModified && cached) return cached.payload;
+
+  const payload = await getJson(response);
+  const etag = (await response).headers.get('ETag');
+  if (etag) menuPayloads.set(url, { etag, payload });
+  else menuPayloads.delete(url);
+  return payload;
+}
+
 /**
  * Getting from the server side and returning the list of dishes.
  */
 const getDishes = async () => {
-  return getJson(
-    fetch(SERVER_URL + 'dishes', { credentials: 'include' })
-  );
+  return getMenuJson(SERVER_URL + 'dishes');
 };
 
 /**
  * Getting from the server side and returning the list of ingredients.
  */
 const getIngredients = async () => {
-  return getJson(
-    fetch(SERVER_URL + 'ingredients', { credentials: 'include' })
-  );
+  return getMenuJson(SERVER_URL + 'ingredients');
 };
 
 /**
- * Getting from the server side and returning the list of orders for the authenticated user.
+ * Converting an order received from the server into the format used by the components.
+ */
+function toClientOrder(order) {
+  const clientOrder = {
+    id: order.id,
+    total: order.total,
+    status: order.status,
+    user_id: order.user_id,
+    username: order.username,  // only in the kitchen's list
+    items: (order.items || []).map(item => ({
+      ...item,
+      ingredients: item.ingredients || []
+    })),
+    statusHistory: (order.status_history || []).map(change => ({
+      status: change.status,
+      timestamp: dayjs(change.changed_at)
+    }))
+  }
+  if (order.timestamp != null)
+    clientOrder.timestamp = dayjs(order.timestamp);
+  return clientOrder;
+}
+
+/**
+ * Getting from the server side one page of the orders of the authenticated user.
+ * params are the optional query parameters: status (comma-separated), dish_id, size,
+ * from, to (excluded), sort, limit and cursor (the nextCursor of the previous page).
+ * It returns { orders, nextCursor }, nextCursor is null on the last page.
+ */
+const getOrders = async (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  return getJson(
+    fetch(SERVER_URL + 'orders' + (query ? '?' + query : ''), { credentials: 'include' })
+  ).then(page => ({ orders: page.orders.map(toClientOrder), nextCursor: page.next_cursor }))
+}
+
+/**
+ * Getting a single order: customers can get their own orders, managers any order.
  */
-const getOrders = async () => {
+const getOrder = async (orderId) => {
   return getJson(
-    fetch(SERVER_URL + 'orders', { credentials: 'include' })
-  ).then(orders => {
-    return orders.map((order) => {
-      const clientOrder = {
-        id: order.id,
-        dish_id: order.dish_id,
-        dish_name: order.dish_name,
-        size: order.size,
-        total: order.total,
-        status: order.status,
-        user_id: order.user_id,
-        ingredients: order.ingredients || []
-      }
-      if (order.timestamp != null)
-        clientOrder.timestamp = dayjs(order.timestamp);
-      return clientOrder;
+    fetch(SERVER_URL + 'orders/' + orderId, { credentials: 'include' })
+  ).then(toClientOrder)
+}
+
+/**
+ * Getting the orders the kitchen still has to handle, oldest first (kitchen staff and managers).
+ */
+const getKitchenOrders = async () => {
+  return getJson(
+    fetch(SERVER_URL + 'kitchen/orders', { credentials: 'include' })
+  ).then(orders => orders.map(toClientOrder))
+}
+
+/**
+ * This function moves an order to the next step of its lifecycle (kitchen staff and managers).
+ * status is the new status: preparing, ready or collected.
+ */
+function updateOrderStatus(orderId, status) {
+  return getJson(
+    fetchWithCsrf(SERVER_URL + "orders/" + orderId + "/status", {
+      method: 'PATCH',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ status })
     })
-  })
+  ).then(toClientOrder)
 }
 
 /**
  * This function adds a new order in the back-end.
+ * The order is { items: [{ dish_id, size, ingredients }] }, one item per dish in the cart.
  */
 function addOrder(order) {
   return getJson(
-    fetch(SERVER_URL + "orders", {
+    fetchWithCsrf(SERVER_URL + "orders", {
+      method: 'POST',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(order) 
+    })
+  )
+}
+
+/**
+ * This function asks the back-end to validate and price an order without placing it.
+ * It returns the price breakdown of every dish, the total and every problem found.
+ */
+function getQuote(order) {
+  return getJson(
+    fetchWithCsrf(SERVER_URL + "orders/quote", {
       method: 'POST',
       credentials: 'include',
       headers: {
@@ -96,7 +222,37 @@ function addOrder(order) {
  */
 function deleteOrder(orderId) {
   return getJson(
-    fetch(SERVER_URL + "orders/" + orderId, {
+    fetchWithCsrf(SERVER_URL + "orders/" + orderId, {
+      method: 'DELETE',
+      credentials: 'include'
+    })
+  )
+}
+
+/**
+ * This function asks the back-end to set aside the limited ingredients being configured.
+ * ingredients is [{ id, quantity }] with everything the session needs: it replaces the previous holds.
+ * It returns the holds that were placed and the ingredients that could not be held.
+ */
+function saveHolds(ingredients) {
+  return getJson(
+    fetchWithCsrf(SERVER_URL + "holds", {
+      method: 'PUT',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ingredients })
+    })
+  )
+}
+
+/**
+ * This function releases every ingredient held by the session.
+ */
+function releaseHolds() {
+  return getJson(
+    fetchWithCsrf(SERVER_URL + "holds", {
       method: 'DELETE',
       credentials: 'include'
     })
@@ -104,6 +260,56 @@ function deleteOrder(orderId) {
 }
 
 
+/*** Live updates ***/
+
+// How often to poll the server while the live updates stream is down
+const POLLING_INTERVAL = 15000;
+
+/**
+ * This function subscribes to the live updates stream of the server.
+ * onIngredients receives the whole ingredient list every time stock changes,
+ * onOrderStatus receives the orders of the logged in user whose status changed.
+ * While the stream is down (the browser keeps reconnecting) the same callbacks are
+ * fed by polling the server instead. It returns a function that unsubscribes.
+ */
+function subscribeToUpdates({ onIngredients, onOrderStatus }) {
+  const source = new EventSource(SERVER_URL + 'events', { withCredentials: true });
+  let pollingTimer = null;
+
+  const poll = () => {
+    if (document.hidden) return;
+    if (onIngredients)
+      getIngredients().then(onIngredients).catch(() => {});
+    if (onOrderStatus)
+      // The most recent orders: older ones are not going to change status anymore
+      getOrders({ limit: 50 }).then(page => page.orders.forEach(onOrderStatus)).catch(() => {});
+  };
+
+  const stopPolling = () => {
+    clearInterval(pollingTimer);
+    pollingTimer = null;
+  };
+
+  if (onIngredients)
+    source.addEventListener('ingredients', (event) => onIngredients(JSON.parse(event.data)));
+  if (onOrderStatus)
+    source.addEventListener('order-status', (event) => onOrderStatus(toClientOrder(JSON.parse(event.data))));
+
+  source.onopen = stopPolling;
+  source.onerror = () => {
+    if (pollingTimer === null) {
+      poll();
+      pollingTimer = setInterval(poll, POLLING_INTERVAL);
+    }
+  };
+
+  return () => {
+    stopPolling();
+    source.close();
+  };
+}
+
+
 /*** Authentication functions ***/
 
 /**
@@ -111,7 +317,7 @@ function deleteOrder(orderId) {
  * It executes the 2FA.
  */
 const totpVerify = async (totpCode) => {
-  return getJson(fetch(SERVER_URL + 'login-totp', {
+  return getJson(fetchWithCsrf(SERVER_URL + 'login-totp', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -122,12 +328,28 @@ const totpVerify = async (totpCode) => {
   )
 };
 
+/**
+ * This function wants a recovery code, used in place of the TOTP code when the authenticator is lost.
+ * It executes the 2FA and returns how many recovery codes are left (recovery_codes_left).
+ */
+const recoveryCodeVerify = async (recoveryCode) => {
+  return getJson(fetchWithCsrf(SERVER_URL + 'login-totp', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    credentials: 'include',
+    body: JSON.stringify({recovery_code: recoveryCode}),
+  })
+  )
+};
+
 /**
  * This function wants username and password inside a "credentials" object.
  * It executes the log-in.
  */
 const logIn = async (credentials) => {
-  return getJson(fetch(SERVER_URL + 'sessions', {
+  const user = await getJson(fetchWithCsrf(SERVER_URL + 'sessions', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -135,6 +357,123 @@ const logIn = async (credentials) => {
     credentials: 'include',  // this parameter specifies that authentication cookie must be forwarded
     body: JSON.stringify(credentials),
   })
+  );
+  csrfToken = null;  // the session is replaced at login, and its token with it
+  return user;
+};
+
+/**
+ * This function wants username, password and an optional email inside a "newUser" object.
+ * It creates the account and logs the new user in.
+ */
+const register = async (newUser) => {
+  const user = await getJson(fetchWithCsrf(SERVER_URL + 'users', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    credentials: 'include',
+    body: JSON.stringify(newUser),
+  })
+  );
+  csrfToken = null;  // the new user is logged in with a new session
+  return user;
+};
+
+/**
+ * This function starts the 2FA enrollment of the logged-in user.
+ * It returns the new secret, its otpauth:// URI and a QR code image (data URL).
+ */
+const startTotpEnrollment = async () => {
+  return getJson(fetchWithCsrf(SERVER_URL + 'totp/enrollment', {
+    method: 'POST',
+    credentials: 'include'
+  })
+  )
+};
+
+/**
+ * This function confirms the 2FA enrollment with a first code from the authenticator app.
+ * It returns the updated user info.
+ */
+const confirmTotpEnrollment = async (totpCode) => {
+  return getJson(fetchWithCsrf(SERVER_URL + 'totp/enrollment/confirm', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    credentials: 'include',
+    body: JSON.stringify({code: totpCode}),
+  })
+  )
+};
+
+/**
+ * This function returns how many unused recovery codes the logged-in user has ({remaining}).
+ */
+const getRecoveryCodesStatus = async () => {
+  return getJson(fetch(SERVER_URL + 'totp/recovery-codes', {
+    credentials: 'include'
+  })
+  )
+};
+
+/**
+ * This function generates new recovery codes, replacing the previous ones (2FA required).
+ * It returns the codes ({codes}): they are not shown again.
+ */
+const generateRecoveryCodes = async () => {
+  return getJson(fetchWithCsrf(SERVER_URL + 'totp/recovery-codes', {
+    method: 'POST',
+    credentials: 'include'
+  })
+  )
+};
+
+/**
+ * This function changes the password of the logged-in user.
+ * It wants current_password, new_password and, for users enrolled in 2FA, a TOTP code.
+ * The other sessions of the user are logged out.
+ */
+const changePassword = async (passwords) => {
+  return getJson(fetchWithCsrf(SERVER_URL + 'users/current/password', {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    credentials: 'include',
+    body: JSON.stringify(passwords),
+  })
+  )
+};
+
+/**
+ * This function asks for a password reset link, sent to the e-mail address of the account.
+ */
+const requestPasswordReset = async (username) => {
+  return getJson(fetchWithCsrf(SERVER_URL + 'password-reset', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    credentials: 'include',
+    body: JSON.stringify({username}),
+  })
+  )
+};
+
+/**
+ * This function sets a new password with the token of a reset link.
+ */
+const resetPassword = async (token, password) => {
+  return getJson(fetchWithCsrf(SERVER_URL + 'password-reset/confirm', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    credentials: 'include',
+    body: JSON.stringify({token, password}),
+  })
   )
 };
 
@@ -154,13 +493,58 @@ const getUserInfo = async () => {
  * This function destroy the current user's session and execute the log-out.
  */
 const logOut = async() => {
-  return getJson(fetch(SERVER_URL + 'sessions/current', {
+  const result = await getJson(fetchWithCsrf(SERVER_URL + 'sessions/current', {
     method: 'DELETE',
     credentials: 'include'  // this parameter specifies that authentication cookie must be forwarded
   })
+  );
+  csrfToken = null;  // the session is replaced at logout, and its token with it
+  return result;
+}
+
+/**
+ * Getting the active sessions of the logged in user, the most recently used first.
+ * Each session has its id, whether it is the current one, createdAt, lastActivityAt,
+ * userAgent, ip and its 2FA state (isTotp).
+ */
+const getSessions = async () => {
+  return getJson(
+    fetch(SERVER_URL + 'sessions', { credentials: 'include' })
+  ).then(sessions => sessions.map(session => ({
+    ...session,
+    createdAt: session.createdAt && dayjs(session.createdAt),
+    lastActivityAt: session.lastActivityAt && dayjs(session.lastActivityAt)
+  })))
+}
+
+/**
+ * This function logs out another session of the logged in user (by its id from getSessions).
+ */
+function revokeSession(sessionId) {
+  return getJson(
+    fetchWithCsrf(SERVER_URL + "sessions/" + sessionId, {
+      method: 'DELETE',
+      credentials: 'include'
+    })
+  )
+}
+
+/**
+ * This function logs out every session of the logged in user but the current one.
+ * It returns how many sessions were logged out ({ revoked }).
+ */
+function revokeOtherSessions() {
+  return getJson(
+    fetchWithCsrf(SERVER_URL + "sessions/others", {
+      method: 'DELETE',
+      credentials: 'include'
+    })
   )
 }
 
-const API = { getDishes, getIngredients, getOrders, addOrder, deleteOrder,
-              logIn, getUserInfo, logOut, totpVerify };
+const API = { getDishes, getIngredients, getOrders, addOrder, getQuote, deleteOrder, saveHolds, releaseHolds, subscribeToUpdates,
+              getOrder, getKitchenOrders, updateOrderStatus,
+              logIn, getUserInfo, logOut, totpVerify, recoveryCodeVerify, register, startTotpEnrollment, confirmTotpEnrollment,
+              getRecoveryCodesStatus, generateRecoveryCodes, changePassword, requestPasswordReset, resetPassword,
+              getSessions, revokeSession, revokeOtherSessions };
 export default API;
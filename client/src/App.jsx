@@ -15,7 +15,11 @@ import 'bootstrap-icons/font/bootstrap-icons.css';
 import './App.css';
 
 import NavigationBar from './components/NavigationBar';
-import { MenuLayout, LoginLayout, OrderLayout, OrderHistoryLayout, NotFoundLayout } from './components/Layout';
+import StepUpModal from './components/StepUpModal';
+import { MenuLayout, LoginLayout, RegisterLayout, ForgotPasswordLayout, ResetPasswordLayout, AccountLayout,
+         TotpEnrollmentLayout, OrderLayout, OrderHistoryLayout, KitchenLayout, OrderLookupLayout,
+         NotFoundLayout } from './components/Layout';
+import { isStaff, isManager } from './roles';
 
 //----------------------------------------------------------------------------
 function App() {
@@ -38,6 +42,8 @@ function App() {
   const [message, setMessage] = useState('');
   // Type of message to display (success, warning, danger)
   const [messageType, setMessageType] = useState('danger');
+  // Open 2FA dialog for a logged-in user: { onVerified } continues the action that needed it
+  const [stepUp, setStepUp] = useState(null);
 
   const navigate = useNavigate();
 
@@ -84,6 +90,7 @@ function App() {
   // Handle user login
   // If the user can do TOTP check, then we set the state to require TOTP
   // and store the pending user data for later verification.
+  // Resolves the seconds to wait (Retry-After) when too many attempts failed.
   async function handleLogin(credentials) {
     try {
       const res = await API.logIn(credentials);
@@ -102,6 +109,8 @@ function App() {
       setUser(null);
       setTotpRequired(false);
       setPendingUser(null);
+      // After too many failed attempts the login form shows a countdown instead
+      if (err.retry_after) return err.retry_after;
       // Use centralized error handling instead of throwing
       handleErrors(err);
     }
@@ -109,16 +118,25 @@ function App() {
 
   //-----------------------------------------------------------------------------
   // Handle TOTP verification
-  async function handleTotp(code) {
+  // The code may also be a recovery code, when the authenticator is lost
+  // Like handleLogin, resolves the seconds to wait when too many attempts failed
+  async function handleTotp(code, isRecoveryCode = false) {
     try {
-      await API.totpVerify(code);
+      const res = isRecoveryCode ? await API.recoveryCodeVerify(code) : await API.totpVerify(code);
       const u = await API.getUserInfo();
       setUser(u);
       setTotpRequired(false);
       setPendingUser(null);
-      setMessage('');
+      if (isRecoveryCode) {
+        setMessage(`Recovery code accepted, you have ${res.recovery_codes_left} left. You can generate new ones from your Account page.`);
+        setMessageType('warning');
+        setTimeout(() => setMessage(''), 6000);
+      } else {
+        setMessage('');
+      }
       navigate('/');
     } catch (err) {
+      if (err.retry_after) return err.retry_after;
       // Use centralized error handling instead of throwing
       handleErrors(err);
     }
@@ -130,18 +148,50 @@ function App() {
     if (pendingUser) {
       setUser({ 
         ...pendingUser, 
-        isTotp: false,
-        limitedAccess: true
+        isTotp: false
       });
       setTotpRequired(false);
       setPendingUser(null);
-      setMessage('Logged in without 2FA. Complete 2FA for enhanced security.');
+      setMessage('Logged in without 2FA. You can verify it later from the navigation bar.');
       setMessageType('warning');
       setTimeout(() => setMessage(''), 4000);
       navigate('/');
     }
   }
 
+  //-----------------------------------------------------------------------------
+  // Handle sign up
+  // The new user is logged in right away and offered to enroll in 2FA
+  async function handleRegister(newUser) {
+    try {
+      const u = await API.register(newUser);
+      setUser(u);
+      setTotpRequired(false);
+      setPendingUser(null);
+      setMessage('');
+      navigate('/enroll-totp');
+    } catch (err) {
+      handleErrors(err);
+    }
+  }
+
+  //-----------------------------------------------------------------------------
+  // Step-up: complete 2FA without logging out (e.g. after skipping it at login,
+  // or when it expired). onVerified is called once the session has 2FA.
+  function requestStepUp(onVerified) {
+    setStepUp({ onVerified });
+  }
+
+  function handleStepUpVerified(u) {
+    const onVerified = stepUp?.onVerified;
+    setUser(u);
+    setStepUp(null);
+    setMessage('2FA completed!');
+    setMessageType('success');
+    setTimeout(() => setMessage(''), 4000);
+    if (onVerified) onVerified();
+  }
+
   //-----------------------------------------------------------------------------
   // Handle user logout
   async function handleLogout() {
@@ -172,7 +222,8 @@ function App() {
   // --- Routing ---
   return (
     <div className="min-vh-100 app-background">
-      <NavigationBar user={user} onLogout={handleLogout} />
+      <NavigationBar user={user} onLogout={handleLogout} onStepUp={() => requestStepUp()} />
+      <StepUpModal show={stepUp !== null} onHide={() => setStepUp(null)} onVerified={handleStepUpVerified} />
       
       <div className="main-content">
         <Container fluid className="px-3 py-4">
@@ -201,6 +252,36 @@ function App() {
                 />
               } 
             />
+            <Route 
+              path="/register" 
+              element={
+                user ? <Navigate to="/" replace /> : <RegisterLayout onRegister={handleRegister} />
+              } 
+            />
+            <Route 
+              path="/forgot-password" 
+              element={
+                user ? <Navigate to="/" replace /> : <ForgotPasswordLayout showMessage={showMessage} />
+              } 
+            />
+            <Route 
+              path="/reset-password" 
+              element={<ResetPasswordLayout showMessage={showMessage} />} 
+            />
+            <Route 
+              path="/account" 
+              element={<AccountLayout user={user} showMessage={showMessage} onStepUp={requestStepUp} />} 
+            />
+            <Route 
+              path="/enroll-totp" 
+              element={
+                <TotpEnrollmentLayout 
+                  user={user} 
+                  onEnrolled={setUser} 
+                  showMessage={showMessage} 
+                />
+              } 
+            />
             <Route 
               path="/order" 
               element={
@@ -221,12 +302,40 @@ function App() {
                   <OrderHistoryLayout 
                     user={user} 
                     showMessage={showMessage} 
+                    onStepUp={requestStepUp}
                   />
                 ) : (
                   <Navigate to="/login" replace />
                 )
               } 
             />
+            <Route 
+              path="/kitchen" 
+              element={
+                isStaff(user) ? (
+                  <KitchenLayout 
+                    user={user} 
+                    showMessage={showMessage} 
+                    onStepUp={requestStepUp}
+                  />
+                ) : (
+                  <Navigate to={user ? '/' : '/login'} replace />
+                )
+              } 
+            />
+            <Route 
+              path="/manager/orders" 
+              element={
+                isManager(user) ? (
+                  <OrderLookupLayout 
+                    user={user} 
+                    onStepUp={requestStepUp}
+                  />
+                ) : (
+                  <Navigate to={user ? '/' : '/login'} replace />
+                )
+              } 
+            />
             <Route 
               path="/" 
               element={
@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { Button, Badge, ListGroup } from 'react-bootstrap';
+import API from '../API';
+
+// Short description of the browser and system of a session, e.g. "Firefox on Linux"
+// (the full user agent is shown as a tooltip)
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (!browser && !system) return userAgent;
+  return [browser || 'Unknown browser', system && `on ${system}`].filter(Boolean).join(' ');
+}
+
+function ActiveSessions({ user, showMessage, onStepUp }) {
+  // Sessions of the user, null while loading
+  const [sessions, setSessions] = useState(null);
+  // ID of the session being logged out ('others' for all the other ones)
+  const [revokingId, setRevokingId] = useState(null);
+
+  //----------------------------------------------------------------------------
+  // Load the sessions of the user
+  useEffect(() => {
+    let ignore = false;
+    API.getSessions()
+      .then(list => { if (!ignore) setSessions(list); })
+      .catch(() => { if (!ignore) setSessions([]); });
+    return () => { ignore = true; };
+  }, [user.id]);
+
+  // Log out one session (sessionId) or every other one (null)
+  // Users enrolled in 2FA must have completed it: then the action is retried after the step-up
+  const handleRevoke = async (sessionId) => {
+    setRevokingId(sessionId ?? 'others');
+    try {
+      if (sessionId) {
+        await API.revokeSession(sessionId);
+        setSessions(prev => prev.filter(session => session.id !== sessionId));
+      } else {
+        const result = await API.revokeOtherSessions();
+        setSessions(prev => prev.filter(session => session.current));
+        showMessage(`Logged out of ${result.revoked} other session${result.revoked === 1 ? '' : 's'}`, 'success');
+      }
+    } catch (error) {
+      if (error.error === 'TOTP authentication required') onStepUp(() => handleRevoke(sessionId));
+      else showMessage(error);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const otherSessions = sessions ? sessions.filter(session => !session.current) : [];
+
+  return (
+    <div className="p-4">
+      <div className="text-center mb-4">
+        <i className="bi bi-laptop display-4 text-primary"></i>
+        <h3 className="mt-3 fw-bold text-primary-custom">Active Sessions</h3>
+        <p className="text-muted">
+          Where you are logged in. Log out the sessions you do not recognize.
+        </p>
+      </div>
+
+      {sessions === null ? (
+        <div className="text-center">
+          <div className="spinner-border text-primary" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : (
+        <>
+          <ListGroup variant="flush" className="mb-3">
+            {sessions.map(session => (
+              <ListGroup.Item key={session.id} className="px-0 d-flex justify-content-between align-items-center">
+                <div>
+                  <div className="fw-bold" title={session.userAgent || ''}>
+                    {describeUserAgent(session.userAgent)}
+                    {session.current && <Badge bg="primary" className="ms-2">This session</Badge>}
+                    {session.isTotp && <Badge bg="success" className="ms-2">2FA</Badge>}
+                  </div>
+                  <small className="text-muted d-block">
+                    {session.ip && <>{session.ip} • </>}
+                    Logged in {session.createdAt ? session.createdAt.format('MMM DD, HH:mm') : 'N/A'}
+                    {session.lastActivityAt && <> • Last active {session.lastActivityAt.format('MMM DD, HH:mm')}</>}
+                  </small>
+                </div>
+                {!session.current && (
+                  <Button
+                    variant="outline-danger"
+                    size="sm"
+                    onClick={() => handleRevoke(session.id)}
+                    disabled={revokingId !== null}
+                    className="rounded-pill ms-2"
+                  >
+                    Log Out
+                  </Button>
+                )}
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+
+          {otherSessions.length > 0 && (
+            <div className="d-grid">
+              <Button
+                variant="outline-danger"
+                onClick={() => handleRevoke(null)}
+                disabled={revokingId !== null}
+                className="rounded-3"
+              >
+                <i className="bi bi-box-arrow-right me-2"></i>
+                Log Out All Other Sessions
+              </Button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ActiveSessions;
@@ -0,0 +1,149 @@
+import { useState } from 'react';
+import { Form, Button, Alert } from 'react-bootstrap';
+import API from '../API';
+
+function ChangePasswordForm({ user, showMessage }) {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [totpCode, setTotpCode] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Change the password, users enrolled in 2FA also confirm it with a TOTP code
+  // The other sessions of the user are logged out by the server
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setErrorMessage('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    setErrorMessage('');
+    try {
+      await API.changePassword({
+        current_password: currentPassword,
+        new_password: newPassword,
+        ...(user.canDoTotp && { code: totpCode })
+      });
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      showMessage('Password changed! Your other sessions have been logged out.', 'success');
+    } catch (error) {
+      showMessage(error);
+    } finally {
+      setTotpCode('');
+      setIsLoading(false);
+    }
+  };
+
+  // Clear error message when user starts typing
+  const handleChange = (setter) => (e) => {
+    setter(e.target.value);
+    if (errorMessage) setErrorMessage('');
+  };
+
+  return (
+    <div className="p-4">
+      <div className="text-center mb-4">
+        <i className="bi bi-key display-4 text-primary"></i>
+        <h3 className="mt-3 fw-bold text-primary-custom">Change Password</h3>
+        <p className="text-muted">Signed in as <span className="fw-bold">{user.username}</span></p>
+      </div>
+
+      {errorMessage && (
+        <Alert variant="danger" className="mb-3 rounded-3">
+          <i className="bi bi-exclamation-triangle-fill me-2"></i>
+          {errorMessage}
+        </Alert>
+      )}
+
+      <Form onSubmit={handleSubmit}>
+        <Form.Group className="mb-3">
+          <Form.Label className="fw-bold">Current Password</Form.Label>
+          <Form.Control
+            type="password"
+            value={currentPassword}
+            onChange={handleChange(setCurrentPassword)}
+            placeholder="Enter your current password"
+            required
+            disabled={isLoading}
+            className="border-0 shadow-sm form-control-light rounded-3"
+          />
+        </Form.Group>
+
+        <Form.Group className="mb-3">
+          <Form.Label className="fw-bold">New Password</Form.Label>
+          <Form.Control
+            type="password"
+            value={newPassword}
+            onChange={handleChange(setNewPassword)}
+            placeholder="At least 8 characters"
+            minLength={8}
+            maxLength={72}
+            required
+            disabled={isLoading}
+            className="border-0 shadow-sm form-control-light rounded-3"
+          />
+          <Form.Text className="text-muted">
+            8-72 characters, with at least one letter and one digit.
+          </Form.Text>
+        </Form.Group>
+
+        <Form.Group className="mb-3">
+          <Form.Label className="fw-bold">Confirm New Password</Form.Label>
+          <Form.Control
+            type="password"
+            value={confirmPassword}
+            onChange={handleChange(setConfirmPassword)}
+            placeholder="Repeat the new password"
+            required
+            disabled={isLoading}
+            className="border-0 shadow-sm form-control-light rounded-3"
+          />
+        </Form.Group>
+
+        {user.canDoTotp && (
+          <Form.Group className="mb-3">
+            <Form.Label className="fw-bold">TOTP Code</Form.Label>
+            <Form.Control
+              type="text"
+              value={totpCode}
+              onChange={handleChange(setTotpCode)}
+              placeholder="Enter 6-digit code"
+              maxLength={6}
+              required
+              disabled={isLoading}
+              className="border-0 shadow-sm text-center form-control-light rounded-3 totp-input"
+            />
+          </Form.Group>
+        )}
+
+        <div className="d-grid gap-2 mt-4">
+          <Button
+            type="submit"
+            size="lg"
+            disabled={isLoading}
+            className="fw-bold border-0 shadow-sm btn-gradient-primary"
+          >
+            {isLoading ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                Saving...
+              </>
+            ) : (
+              <>
+                <i className="bi bi-check-lg me-2"></i>
+                Change Password
+              </>
+            )}
+          </Button>
+        </div>
+      </Form>
+    </div>
+  );
+}
+
+export default ChangePasswordForm;
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { Form, Button, Alert } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import API from '../API';
+
+function ForgotPasswordForm({ showMessage }) {
+  const [username, setUsername] = useState('');
+  // Message of the server once the request is sent (the same whether the account exists or not)
+  const [sentMessage, setSentMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const navigate = useNavigate();
+
+  // Ask the server to send a reset link to the e-mail address of the account
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsLoading(true);
+    try {
+      const result = await API.requestPasswordReset(username);
+      setSentMessage(result.message);
+    } catch (error) {
+      showMessage(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="p-4">
+      <div className="text-center mb-4">
+        <i className="bi bi-envelope display-4 text-primary"></i>
+        <h3 className="mt-3 fw-bold text-primary-custom">Forgot your password?</h3>
+        <p className="text-muted">We will send a reset link to the e-mail address of your account</p>
+      </div>
+
+      {sentMessage ? (
+        <Alert variant="success" className="rounded-3">
+          <i className="bi bi-check-circle-fill me-2"></i>
+          {sentMessage}
+        </Alert>
+      ) : (
+        <Form onSubmit={handleSubmit}>
+          <Form.Group className="mb-4">
+            <Form.Label className="fw-bold">Username</Form.Label>
+            <Form.Control
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Enter your username"
+              required
+              disabled={isLoading}
+              className="border-0 shadow-sm form-control-light rounded-3"
+            />
+          </Form.Group>
+
+          <div className="d-grid gap-2">
+            <Button
+              type="submit"
+              size="lg"
+              disabled={isLoading}
+              className="fw-bold border-0 shadow-sm btn-gradient-primary"
+            >
+              {isLoading ? (
+                <>
+                  <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                  Sending...
+                </>
+              ) : (
+                <>
+                  <i className="bi bi-send me-2"></i>
+                  Send Reset Link
+                </>
+              )}
+            </Button>
+          </div>
+        </Form>
+      )}
+
+      <div className="d-grid mt-2">
+        <Button
+          variant="link"
+          onClick={() => navigate('/login')}
+          disabled={isLoading}
+          className="text-muted"
+        >
+          Back to Sign in
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPasswordForm;
@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react';
+import { Row, Col, Card, Badge, Button, Alert } from 'react-bootstrap';
+import API from '../API';
+
+// Columns of the board: the orders in each status, with the step that moves them on
+const KITCHEN_COLUMNS = [
+  { status: 'confirmed', title: 'To Prepare', icon: 'bi-check-circle', next: 'preparing', action: 'Start Preparing' },
+  { status: 'preparing', title: 'Preparing', icon: 'bi-fire', next: 'ready', action: 'Mark Ready' },
+  { status: 'ready', title: 'Ready', icon: 'bi-bell', next: 'collected', action: 'Mark Collected' }
+];
+
+// New orders are not pushed to the kitchen, so the board reloads periodically
+const KITCHEN_REFRESH_INTERVAL = 15000;
+
+function KitchenBoard({ user, showMessage, onStepUp }) {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  // ID of the order being moved on, to disable its button
+  const [updatingId, setUpdatingId] = useState(null);
+
+  //----------------------------------------------------------------------------
+  // Load the active orders, then reload them periodically (only once 2FA is completed)
+  // (errors are shown here: the global message would re-render the board and reload it)
+  useEffect(() => {
+    if (!user.isTotp) return;
+
+    let ignore = false;
+    const loadOrders = () => {
+      API.getKitchenOrders()
+        .then(data => { if (!ignore) { setOrders(data); setLoadError(''); } })
+        .catch(error => { if (!ignore) setLoadError(error.error || 'Error loading orders'); })
+        .finally(() => { if (!ignore) setLoading(false); });
+    };
+
+    loadOrders();
+    const timer = setInterval(loadOrders, KITCHEN_REFRESH_INTERVAL);
+    return () => {
+      ignore = true;
+      clearInterval(timer);
+    };
+  }, [user.isTotp]);
+
+  // Move an order to the next step; collected orders leave the board
+  const handleAdvance = async (order, nextStatus) => {
+    setUpdatingId(order.id);
+    try {
+      const updatedOrder = await API.updateOrderStatus(order.id, nextStatus);
+      setOrders(prev => nextStatus === 'collected'
+        ? prev.filter(o => o.id !== order.id)
+        : prev.map(o => o.id === order.id ? { ...updatedOrder, username: o.username } : o));
+    } catch (error) {
+      if (error.error === 'TOTP authentication required') {
+        onStepUp();
+      } else {
+        showMessage(error);
+        // e.g. the customer cancelled it meanwhile
+        setOrders(await API.getKitchenOrders().catch(() => orders));
+      }
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  if (!user.isTotp) {
+    return (
+      <div className="text-center py-5">
+        <i className="bi bi-shield-lock display-4 text-primary"></i>
+        <h5 className="mt-3 fw-bold">The kitchen board requires 2FA</h5>
+        <Button onClick={() => onStepUp()} className="rounded-pill mt-2 border-0 btn-gradient-primary">
+          <i className="bi bi-shield-check me-1"></i>
+          Verify with 2FA
+        </Button>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-5">
+        <div className="spinner-border text-primary" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+        <p className="mt-3 text-muted">Loading orders...</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {loadError && (
+        <Alert variant="danger" className="rounded-3">
+          <i className="bi bi-exclamation-triangle-fill me-2"></i>
+          {loadError}
+        </Alert>
+      )}
+
+      <Row>
+        {KITCHEN_COLUMNS.map(column => {
+          const columnOrders = orders.filter(order => order.status === column.status);
+          return (
+            <Col lg={4} key={column.status} className="mb-4">
+              <Card className="border-0 shadow-lg rounded-4 h-100">
+                <Card.Header className="text-white border-0 card-header-gradient d-flex justify-content-between align-items-center">
+                  <h5 className="mb-0 fw-bold">
+                    <i className={`bi ${column.icon} me-2`}></i>
+                    {column.title}
+                  </h5>
+                  <Badge bg="light" text="dark">{columnOrders.length}</Badge>
+                </Card.Header>
+                <Card.Body className="p-3">
+                  {columnOrders.length === 0 ? (
+                    <p className="text-muted text-center my-3">No orders</p>
+                  ) : columnOrders.map(order => (
+                    <Card key={order.id} className="dish-card mb-3">
+                      <Card.Body className="p-3">
+                        <div className="d-flex justify-content-between mb-2">
+                          <span className="fw-bold">Order #{order.id}</span>
+                          <small className="text-muted">
+                            <i className="bi bi-person me-1"></i>
+                            {order.username}
+                          </small>
+                        </div>
+                        <small className="text-muted d-block mb-2">
+                          <i className="bi bi-clock me-1"></i>
+                          {order.timestamp ? order.timestamp.format('HH:mm') : 'N/A'}
+                        </small>
+
+                        <ul className="list-unstyled mb-3">
+                          {order.items.map(item => (
+                            <li key={item.id} className="small">
+                              <span className="fw-semibold text-capitalize">{item.dish_name} ({item.size})</span>
+                              {item.ingredients.length > 0 && (
+                                <span className="text-muted"> - {item.ingredients
+                                  .map(ing => ing.quantity > 1 ? `${ing.quantity}× ${ing.name}` : ing.name)
+                                  .join(', ')}</span>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+
+                        <div className="d-grid">
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            onClick={() => handleAdvance(order, column.next)}
+                            disabled={updatingId === order.id}
+                            className="rounded-pill"
+                          >
+                            {column.action}
+                          </Button>
+                        </div>
+                      </Card.Body>
+                    </Card>
+                  ))}
+                </Card.Body>
+              </Card>
+            </Col>
+          );
+        })}
+      </Row>
+    </>
+  );
+}
+
+export default KitchenBoard;
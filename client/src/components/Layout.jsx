@@ -3,9 +3,19 @@ import { Row, Col, Button } from 'react-bootstrap';
 import { Link, useNavigate } from 'react-router-dom';
 
 import LoginForm from './LoginForm';
+import RegisterForm from './RegisterForm';
+import TotpEnrollment from './TotpEnrollment';
+import ChangePasswordForm from './ChangePasswordForm';
+import RecoveryCodes from './RecoveryCodes';
+import ActiveSessions from './ActiveSessions';
+import ForgotPasswordForm from './ForgotPasswordForm';
+import ResetPasswordForm from './ResetPasswordForm';
 import MenuBrowser from './MenuBrowser';
 import OrderConfigurator from './OrderConfigurator';
 import OrderHistory from './OrderHistory';
+import KitchenBoard from './KitchenBoard';
+import OrderLookup from './OrderLookup';
+import { isStaff, isManager } from '../roles';
 
 //------------------------------------------------------------------------
 // --- Not Found Layout ---
@@ -59,6 +69,128 @@ function LoginLayout({ onLogin, totpRequired, onTotp, onSkipTotp }) {
   );
 }
 
+//------------------------------------------------------------------------
+// --- Register Layout ---
+function RegisterLayout({ onRegister }) {
+  return (
+    <Row className="justify-content-center">
+      <Col xs={12} sm={10} md={8} lg={5}>
+        <div className="card shadow-lg border-0 card-transparent">
+          <div className="card-body">
+            <RegisterForm onRegister={onRegister} />
+          </div>
+        </div>
+      </Col>
+    </Row>
+  );
+}
+
+//------------------------------------------------------------------------
+// --- Forgot Password Layout ---
+function ForgotPasswordLayout({ showMessage }) {
+  return (
+    <Row className="justify-content-center">
+      <Col xs={12} sm={10} md={8} lg={5}>
+        <div className="card shadow-lg border-0 card-transparent">
+          <div className="card-body">
+            <ForgotPasswordForm showMessage={showMessage} />
+          </div>
+        </div>
+      </Col>
+    </Row>
+  );
+}
+
+//------------------------------------------------------------------------
+// --- Reset Password Layout ---
+function ResetPasswordLayout({ showMessage }) {
+  return (
+    <Row className="justify-content-center">
+      <Col xs={12} sm={10} md={8} lg={5}>
+        <div className="card shadow-lg border-0 card-transparent">
+          <div className="card-body">
+            <ResetPasswordForm showMessage={showMessage} />
+          </div>
+        </div>
+      </Col>
+    </Row>
+  );
+}
+
+//------------------------------------------------------------------------
+// --- Account Layout ---
+function AccountLayout({ user, showMessage, onStepUp }) {
+  const navigate = useNavigate();
+
+  //----------------------------------------------------------------------------
+  // Redirect unauthenticated users to login page
+  useEffect(() => {
+    if (!user) {
+      navigate('/login', { replace: true });
+    }
+  }, [user, navigate]);
+
+  // Don't render if user is not authenticated
+  if (!user) {
+    return null; // Will redirect via useEffect
+  }
+
+  return (
+    <Row className="justify-content-center">
+      <Col xs={12} sm={10} md={8} lg={5}>
+        <div className="card shadow-lg border-0 card-transparent">
+          <div className="card-body">
+            <ChangePasswordForm user={user} showMessage={showMessage} />
+          </div>
+        </div>
+        {user.canDoTotp && (
+          <div className="card shadow-lg border-0 card-transparent mt-4">
+            <div className="card-body">
+              <RecoveryCodes user={user} showMessage={showMessage} />
+            </div>
+          </div>
+        )}
+        <div className="card shadow-lg border-0 card-transparent mt-4">
+          <div className="card-body">
+            <ActiveSessions user={user} showMessage={showMessage} onStepUp={onStepUp} />
+          </div>
+        </div>
+      </Col>
+    </Row>
+  );
+}
+
+//------------------------------------------------------------------------
+// --- 2FA Enrollment Layout ---
+function TotpEnrollmentLayout({ user, onEnrolled, showMessage }) {
+  const navigate = useNavigate();
+
+  //----------------------------------------------------------------------------
+  // Redirect unauthenticated users to login page
+  useEffect(() => {
+    if (!user) {
+      navigate('/login', { replace: true });
+    }
+  }, [user, navigate]);
+
+  // Don't render if user is not authenticated
+  if (!user) {
+    return null; // Will redirect via useEffect
+  }
+
+  return (
+    <Row className="justify-content-center">
+      <Col xs={12} sm={10} md={8} lg={5}>
+        <div className="card shadow-lg border-0 card-transparent">
+          <div className="card-body">
+            <TotpEnrollment user={user} onEnrolled={onEnrolled} showMessage={showMessage} />
+          </div>
+        </div>
+      </Col>
+    </Row>
+  );
+}
+
 //------------------------------------------------------------------------
 // --- Menu Layout ---
 function MenuLayout({ user, showMessage }) {
@@ -178,7 +310,7 @@ function OrderLayout({ user, showMessage }) {
 
 //------------------------------------------------------------------------
 // --- Order History Layout ---
-function OrderHistoryLayout({ user, showMessage }) {
+function OrderHistoryLayout({ user, showMessage, onStepUp }) {
   const navigate = useNavigate();
 
   //----------------------------------------------------------------------------
@@ -217,11 +349,90 @@ function OrderHistoryLayout({ user, showMessage }) {
       </Row>
 
       {/* Order History */}
-      <OrderHistory user={user} showMessage={showMessage} />
+      <OrderHistory user={user} showMessage={showMessage} onStepUp={onStepUp} />
+    </div>
+  );
+}
+
+//------------------------------------------------------------------------
+// --- Kitchen Layout ---
+function KitchenLayout({ user, showMessage, onStepUp }) {
+  const navigate = useNavigate();
+
+  //----------------------------------------------------------------------------
+  // Redirect unauthenticated users to login page, and customers to the menu
+  useEffect(() => {
+    if (!user) {
+      navigate('/login', { replace: true });
+    } else if (!isStaff(user)) {
+      navigate('/', { replace: true });
+    }
+  }, [user, navigate]);
+
+  // Don't render if user is not kitchen staff
+  if (!isStaff(user)) {
+    return null; // Will redirect via useEffect
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <Row className="mb-4 page-header">
+        <Col>
+          <div className="card border-0 shadow-lg card-transparent">
+            <div className="card-body p-4 text-center">
+              <h2 className="fw-bold mb-2 text-primary-custom">
+                <i className="bi bi-fire me-2"></i>
+                Kitchen
+              </h2>
+              <p className="text-muted mb-0">
+                Orders to prepare, oldest first
+              </p>
+            </div>
+          </div>
+        </Col>
+      </Row>
+
+      {/* Kitchen Board */}
+      <KitchenBoard user={user} showMessage={showMessage} onStepUp={onStepUp} />
     </div>
   );
 }
 
 //------------------------------------------------------------------------
-export { NotFoundLayout, LoginLayout, MenuLayout, OrderLayout, OrderHistoryLayout };
+// --- Order Lookup Layout ---
+function OrderLookupLayout({ user, onStepUp }) {
+  const navigate = useNavigate();
+
+  //----------------------------------------------------------------------------
+  // Redirect unauthenticated users to login page, and everyone but managers to the menu
+  useEffect(() => {
+    if (!user) {
+      navigate('/login', { replace: true });
+    } else if (!isManager(user)) {
+      navigate('/', { replace: true });
+    }
+  }, [user, navigate]);
+
+  // Don't render if user is not a manager
+  if (!isManager(user)) {
+    return null; // Will redirect via useEffect
+  }
+
+  return (
+    <Row className="justify-content-center">
+      <Col xs={12} md={10} lg={8}>
+        <div className="card shadow-lg border-0 card-transparent">
+          <div className="card-body">
+            <OrderLookup user={user} onStepUp={onStepUp} />
+          </div>
+        </div>
+      </Col>
+    </Row>
+  );
+}
+
+//------------------------------------------------------------------------
+export { NotFoundLayout, LoginLayout, RegisterLayout, ForgotPasswordLayout, ResetPasswordLayout, AccountLayout,
+         TotpEnrollmentLayout, MenuLayout, OrderLayout, OrderHistoryLayout, KitchenLayout, OrderLookupLayout };
 export default MenuLayout;
@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Form, Button, Alert } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 
@@ -6,11 +6,30 @@ function LoginForm({ onLogin, totpRequired, onTotp, onSkipTotp }) {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [totpCode, setTotpCode] = useState('');
+  // Whether the second factor is a recovery code instead of a TOTP code
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  // Time (ms) until which the server refuses new attempts, after too many failures
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
   
   const navigate = useNavigate();
 
+  //----------------------------------------------------------------------------
+  // Tick every second while locked out, to update the countdown
+  useEffect(() => {
+    if (!lockedUntil) return;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= lockedUntil) setLockedUntil(null);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  const secondsLeft = lockedUntil ? Math.max(Math.ceil((lockedUntil - now) / 1000), 0) : 0;
+  const isLocked = secondsLeft > 0;
+
   // Handle form submission for login or TOTP verification
   const handleSubmit = async (event) => {
     event.preventDefault();
@@ -19,10 +38,13 @@ function LoginForm({ onLogin, totpRequired, onTotp, onSkipTotp }) {
 
     // With centralized error handling, we don't need try/catch here
     // Errors are handled at the App level and displayed in the global message
-    if (totpRequired) {
-      await onTotp(totpCode);
-    } else {
-      await onLogin({ username, password });
+    // When too many attempts failed, the handlers give back the seconds to wait
+    const retryAfter = totpRequired
+      ? await onTotp(totpCode, useRecoveryCode)
+      : await onLogin({ username, password });
+    if (retryAfter) {
+      setNow(Date.now());
+      setLockedUntil(Date.now() + retryAfter * 1000);
     }
     
     setIsLoading(false);
@@ -45,6 +67,12 @@ function LoginForm({ onLogin, totpRequired, onTotp, onSkipTotp }) {
     if (errorMessage) setErrorMessage('');
   };
 
+  // Switch between a TOTP code and a recovery code
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setTotpCode('');
+  };
+
   return (
     <div className="p-4">
       <div className="text-center mb-4">
@@ -60,6 +88,16 @@ function LoginForm({ onLogin, totpRequired, onTotp, onSkipTotp }) {
         </p>
       </div>
 
+      {isLocked && (
+        <Alert variant="warning" className="mb-3 rounded-3">
+          <i className="bi bi-hourglass-split me-2"></i>
+          Too many failed attempts. You can try again in{' '}
+          <span className="fw-bold">
+            {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}
+          </span>
+        </Alert>
+      )}
+
       {errorMessage && (
         <Alert variant="danger" className="mb-3 rounded-3">
           <i className="bi bi-exclamation-triangle-fill me-2"></i>
@@ -98,17 +136,26 @@ function LoginForm({ onLogin, totpRequired, onTotp, onSkipTotp }) {
           </>
         ) : (
           <Form.Group className="mb-4">
-            <Form.Label className="fw-bold">TOTP Code</Form.Label>
+            <Form.Label className="fw-bold">{useRecoveryCode ? 'Recovery Code' : 'TOTP Code'}</Form.Label>
             <Form.Control
               type="text"
               value={totpCode}
               onChange={handleTotpChange}
-              placeholder="Enter 6-digit code"
-              maxLength={6}
+              placeholder={useRecoveryCode ? 'e.g. abcd-efgh-ijkl' : 'Enter 6-digit code'}
+              maxLength={useRecoveryCode ? 20 : 6}
               required
               disabled={isLoading}
               className="border-0 shadow-sm text-center form-control-light rounded-3 totp-input"
             />
+            <Button
+              variant="link"
+              size="sm"
+              onClick={toggleRecoveryCode}
+              disabled={isLoading}
+              className="text-muted px-0"
+            >
+              {useRecoveryCode ? 'Use a code from the authenticator app' : 'Lost your authenticator? Use a recovery code'}
+            </Button>
           </Form.Group>
         )}
 
@@ -116,7 +163,7 @@ function LoginForm({ onLogin, totpRequired, onTotp, onSkipTotp }) {
           <Button 
             type="submit" 
             size="lg"
-            disabled={isLoading}
+            disabled={isLoading || isLocked}
             className="fw-bold border-0 shadow-sm btn-gradient-primary"
           >
             {isLoading ? (
@@ -144,6 +191,27 @@ function LoginForm({ onLogin, totpRequired, onTotp, onSkipTotp }) {
             </Button>
           )}
 
+          {!totpRequired && (
+            <>
+              <Button 
+                variant="link"
+                onClick={() => navigate('/register')}
+                disabled={isLoading}
+                className="text-muted"
+              >
+                New here? Create an account
+              </Button>
+              <Button 
+                variant="link"
+                onClick={() => navigate('/forgot-password')}
+                disabled={isLoading}
+                className="text-muted py-0"
+              >
+                Forgot your password?
+              </Button>
+            </>
+          )}
+
           
         </div>
       </Form>
@@ -2,6 +2,9 @@ import { useState, useEffect } from 'react';
 import { Row, Col, Card, Badge, ListGroup, Button } from 'react-bootstrap';
 import API from '../API';
 
+// Units on hand that no customer has set aside while configuring an order
+const getFreeStock = (ingredient) => ingredient.availability - (ingredient.reserved || 0);
+
 function MenuBrowser({ showMessage }) {
   const [dishes, setDishes] = useState([]);
   const [ingredients, setIngredients] = useState([]);
@@ -31,40 +34,11 @@ function MenuBrowser({ showMessage }) {
   }, [showMessage]);
 
   //----------------------------------------------------------------------------
-  // Refresh ingredients when page becomes visible (for multi-client updates)
+  // Keep ingredient availability up to date with the server's live updates
+  // (multi-client updates: stock changes as soon as somebody orders or cancels)
   useEffect(() => {
-    const refreshIngredients = async () => {
-      if (loading) return;
-      
-      try {
-        const updatedIngredients = await API.getIngredients();
-        setIngredients(updatedIngredients);
-      } catch (error) {
-        console.log('Error refreshing ingredients:', error);
-      }
-    };
-
-    // Set up a visibility change listener
-    const handleVisibilityChange = () => {
-      if (!document.hidden) {
-        refreshIngredients();
-      }
-    };
-
-    // Set up periodic refresh every 15 seconds for real-time updates
-    const refreshInterval = setInterval(() => {
-      if (!document.hidden) {
-        refreshIngredients();
-      }
-    }, 15000);
-
-    document.addEventListener('visibilitychange', handleVisibilityChange);
-    
-    return () => {
-      document.removeEventListener('visibilitychange', handleVisibilityChange);
-      clearInterval(refreshInterval);
-    };
-  }, [loading]);
+    return API.subscribeToUpdates({ onIngredients: setIngredients });
+  }, []);
 
 
 
@@ -101,9 +75,15 @@ function MenuBrowser({ showMessage }) {
                       </div>
                       <h6 className="fw-bold text-capitalize">{dish.name}</h6>
                       <div className="mt-2">
-                        <Badge bg="success" className="me-1">Small: €5</Badge>
-                        <Badge bg="warning" className="me-1">Medium: €7</Badge>
-                        <Badge bg="danger">Large: €9</Badge>
+                        {dish.sizes.map((info, index) => (
+                          <Badge
+                            key={info.size}
+                            bg={['success', 'warning', 'danger'][index] || 'secondary'}
+                            className="me-1 text-capitalize"
+                          >
+                            {info.size}: €{info.price}
+                          </Badge>
+                        ))}
                       </div>
                     </Card.Body>
                   </Card>
@@ -134,10 +114,15 @@ function MenuBrowser({ showMessage }) {
                         <Badge bg="primary" className="ms-2">€{ingredient.price.toFixed(2)}</Badge>
                         {ingredient.availability !== null && (
                           <Badge 
-                            bg={ingredient.availability > 0 ? "success" : "danger"} 
+                            bg={getFreeStock(ingredient) > 0 ? "success" : "danger"} 
                             className="ms-1"
                           >
-                            {ingredient.availability > 0 ? `${ingredient.availability} left` : 'Out of stock'}
+                            {getFreeStock(ingredient) > 0 ? `${getFreeStock(ingredient)} left` : 'Out of stock'}
+                          </Badge>
+                        )}
+                        {ingredient.reserved > 0 && (
+                          <Badge bg="warning" text="dark" className="ms-1">
+                            {ingredient.reserved} reserved
                           </Badge>
                         )}
                       </div>
@@ -1,7 +1,8 @@
 import { Navbar, Nav, Button, Container } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
+import { isStaff, isManager } from '../roles';
 
-function NavigationBar({ user, onLogout }) {
+function NavigationBar({ user, onLogout, onStepUp }) {
   const navigate = useNavigate();
 
   return (
@@ -33,6 +34,18 @@ function NavigationBar({ user, onLogout }) {
                   <i className="bi bi-clock-history me-1"></i>
                   My Orders
                 </Nav.Link>
+                {isStaff(user) && (
+                  <Nav.Link onClick={() => navigate('/kitchen')} className="text-light">
+                    <i className="bi bi-fire me-1"></i>
+                    Kitchen
+                  </Nav.Link>
+                )}
+                {isManager(user) && (
+                  <Nav.Link onClick={() => navigate('/manager/orders')} className="text-light">
+                    <i className="bi bi-search me-1"></i>
+                    Find Order
+                  </Nav.Link>
+                )}
               </>
             )}
           </Nav>
@@ -42,8 +55,25 @@ function NavigationBar({ user, onLogout }) {
                 <Nav.Link disabled className="text-light me-3">
                   <i className="bi bi-person-circle me-1"></i>
                   Welcome, <span className="fw-bold">{user.name}</span>
+                  {isStaff(user) && <span className="badge bg-light text-dark ms-2 text-capitalize">{user.role}</span>}
                   {user.isTotp && <span className="badge bg-success text-dark ms-2">2FA</span>}
                 </Nav.Link>
+                <Nav.Link onClick={() => navigate('/account')} className="text-light me-3">
+                  <i className="bi bi-gear me-1"></i>
+                  Account
+                </Nav.Link>
+                {user.canDoTotp && !user.isTotp && (
+                  <Nav.Link onClick={onStepUp} className="text-light me-3">
+                    <i className="bi bi-shield-check me-1"></i>
+                    Verify 2FA
+                  </Nav.Link>
+                )}
+                {!user.canDoTotp && (
+                  <Nav.Link onClick={() => navigate('/enroll-totp')} className="text-light me-3">
+                    <i className="bi bi-shield-lock me-1"></i>
+                    Enable 2FA
+                  </Nav.Link>
+                )}
                 <Button variant="outline-light" onClick={onLogout} className="rounded-pill">
                   <i className="bi bi-box-arrow-right me-1"></i>
                   Logout
@@ -1,15 +1,81 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Row, Col, Card, Badge, ListGroup, Button, Form, Modal, Alert } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import API from '../API';
 
+//----------------------------------------------------------------------------
+// Helpers that do not depend on the component state
+
+// Get price and ingredient limit of a size of a dish (sizes come from the server)
+const getSizeInfo = (dish, size) => dish?.sizes?.find(s => s.size === size);
+
+// Portions of an ingredient in a dish (missing means one portion)
+const getQuantity = (id, dishQuantities) => dishQuantities?.[id] || 1;
+
+// Convert a cart entry into the format expected by the server
+const toOrderItem = (item) => ({
+  dish_id: item.dish.id,
+  size: item.size,
+  ingredients: item.ingredients.map(id => ({ id, quantity: getQuantity(id, item.quantities) }))
+});
+
+// Units of an ingredient this customer can use: the ones on hand that other
+// customers have not set aside (null means unlimited)
+const getFreeStock = (ingredient) => (
+  ingredient.availability === null ? null : ingredient.availability - (ingredient.reserved || 0)
+);
+
+// How often the holds on the selected ingredients are renewed (the server keeps them 5 minutes)
+const HOLD_REFRESH_INTERVAL = 60000;
+
+// Count how many portions of each ingredient the dishes in the cart use
+const countCartUsage = (cartItems) => {
+  const usage = {};
+  for (const item of cartItems) {
+    for (const id of item.ingredients) {
+      usage[id] = (usage[id] || 0) + getQuantity(id, item.quantities);
+    }
+  }
+  return usage;
+};
+
+// Split the cart into the dishes that can still be prepared with the given
+// stock and the ones that cannot (checked in cart order)
+const checkCartAvailability = (cartItems, ingredientsData) => {
+  const keptItems = [];
+  const removedItems = [];
+  const usage = {};
+  for (const item of cartItems) {
+    const fits = item.ingredients.every(id => {
+      const ingredient = ingredientsData.find(ing => ing.id === id);
+      return ingredient && (ingredient.availability === null ||
+        getFreeStock(ingredient) - (usage[id] || 0) >= getQuantity(id, item.quantities));
+    });
+    if (fits) {
+      item.ingredients.forEach(id => { usage[id] = (usage[id] || 0) + getQuantity(id, item.quantities); });
+      keptItems.push(item);
+    } else {
+      removedItems.push(item);
+    }
+  }
+  return { keptItems, removedItems };
+};
+
+//----------------------------------------------------------------------------
 function OrderConfigurator({ user, showMessage, onOrderComplete }) {
   // State variables
   const [dishes, setDishes] = useState([]);
   const [ingredients, setIngredients] = useState([]);
   const [selectedDish, setSelectedDish] = useState(null);
-  const [selectedSize, setSelectedSize] = useState('small');
+  const [selectedSize, setSelectedSize] = useState('');
   const [selectedIngredients, setSelectedIngredients] = useState([]);
+  // Portions of each selected ingredient (missing means one portion)
+  const [quantities, setQuantities] = useState({});
+  // Dishes already configured and waiting to be ordered together
+  const [cart, setCart] = useState([]);
+  // Server quotes (price breakdown and problems) for the cart and for the dish being configured
+  const [cartQuote, setCartQuote] = useState(null);
+  const [dishQuote, setDishQuote] = useState(null);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [showConfirm, setShowConfirm] = useState(false);
@@ -17,15 +83,23 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
 
   const navigate = useNavigate();
 
-  const sizeInfo = {
-    small: { price: 5, maxIngredients: 3 },
-    medium: { price: 7, maxIngredients: 5 },
-    large: { price: 9, maxIngredients: 7 }
-  };
+  // Maximum number of ingredients for the dish being configured
+  const getMaxIngredients = () => getSizeInfo(selectedDish, selectedSize)?.max_ingredients ?? 0;
+
+  // Ingredient slots used by a dish: every extra portion takes a slot, like on the server
+  const getUsedSlots = (ids) => ids.reduce((sum, id) => sum + getQuantity(id, quantities), 0);
+
+  // Latest showMessage, for the effects that report errors of background requests
+  // (showMessage changes at every render of the App: as a dependency, it would send
+  // those requests again after every message)
+  const showMessageRef = useRef(showMessage);
+  useEffect(() => {
+    showMessageRef.current = showMessage;
+  });
 
   //----------------------------------------------------------------------------
   // Load dishes and ingredients data on component mount
-  // This effect runs when the component mounts or when user, navigate, or showMessage changes
+  // This effect runs when the component mounts or when user or navigate changes
   // It redirects unauthenticated users and loads menu data for order configuration
   useEffect(() => {
     if (!user) {
@@ -41,85 +115,185 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
         ]);
         setDishes(dishesData);
         setIngredients(ingredientsData);
+        // The first dish and size are only a default: a reload keeps the customer's choice
         if (dishesData.length > 0) {
-          setSelectedDish(dishesData[0]);
+          setSelectedDish(current => current ?? dishesData[0]);
+          setSelectedSize(current => current || dishesData[0].sizes[0]?.size || '');
         }
       } catch (error) {
-        showMessage('Error loading menu data');
+        showMessageRef.current('Error loading menu data');
       } finally {
         setLoading(false);
       }
     };
 
     loadData();
-  }, [user, navigate, showMessage]);
+  }, [user, navigate]);
 
   //----------------------------------------------------------------------------
-  // Refresh ingredients data when component becomes visible
-  // This ensures users see updated availability when navigating between pages
+  // Keep ingredient availability up to date with the server's live updates
   useEffect(() => {
-    const refreshIngredients = async () => {
-      if (!user || loading) return;
-      
-      try {
-        const updatedIngredients = await API.getIngredients();
-        setIngredients(updatedIngredients);
-        
-        // Check if any selected ingredients are no longer available and remove them
-        const stillAvailableIngredients = selectedIngredients.filter(selectedId => {
-          const ingredient = updatedIngredients.find(ing => ing.id === selectedId);
-          return !ingredient || ingredient.availability === null || ingredient.availability > 0;
+    if (!user) return;
+    return API.subscribeToUpdates({ onIngredients: setIngredients });
+  }, [user]);
+
+  //----------------------------------------------------------------------------
+  // Set aside on the server the limited ingredients of the cart and of the dish being
+  // configured, so nobody else can take them before the order is placed
+  // The holds follow every change (deselected ingredients are released) and are
+  // renewed periodically, since the server lets them expire
+  // Ingredients the server cannot hold were taken by somebody else meanwhile: the dish
+  // being configured is reduced to the units the cart leaves free, and the customer is told
+  useEffect(() => {
+    if (!user || loading) return;
+
+    // Unlimited ingredients are sent too, the server simply does not hold them
+    const current = { ingredients: selectedIngredients, quantities };
+    const cartUsage = countCartUsage(cart);
+    const usage = countCartUsage([...cart, current]);
+    const holds = Object.entries(usage).map(([id, quantity]) => ({ id: Number(id), quantity }));
+
+    // Responses to holds that have been replaced since are ignored
+    let active = true;
+    let cartReported = false;
+
+    const handleRejected = (rejected) => {
+      // Portions of each rejected ingredient the dish being configured can still have
+      const allowed = new Map(rejected.map(({ id, free }) => [id, free - (cartUsage[id] || 0)]));
+      const reduced = rejected.filter(({ id }) => selectedIngredients.includes(id));
+      const cartOnly = rejected.filter(({ id }) => !selectedIngredients.includes(id));
+
+      if (reduced.length > 0) {
+        setSelectedIngredients(prev => prev.filter(id => !(allowed.get(id) < 1)));
+        setQuantities(prev => {
+          const next = { ...prev };
+          for (const { id } of reduced) {
+            if (allowed.get(id) >= 1) next[id] = allowed.get(id);
+            else delete next[id];
+          }
+          return next;
         });
-        
-        if (stillAvailableIngredients.length !== selectedIngredients.length) {
-          setSelectedIngredients(stillAvailableIngredients);
-          const removedCount = selectedIngredients.length - stillAvailableIngredients.length;
-          showMessage(`${removedCount} ingredient(s) were removed due to availability changes`, 'info');
-        }
-      } catch (error) {
-        console.log('Error refreshing ingredients:', error);
+        showMessageRef.current(`Somebody else took the last units of ${reduced.map(ing => ing.name).join(', ')}: ` +
+          'your dish now has only what is left', 'info');
+      }
+      // The cart is checked again by the availability updates: it is only reported once
+      if (cartOnly.length > 0 && !cartReported) {
+        cartReported = true;
+        showMessageRef.current(`Somebody else is holding ${cartOnly.map(ing => ing.name).join(', ')}: ` +
+          'the cart cannot be ordered until they are free again', 'info');
       }
     };
 
-    // Set up a visibility change listener to refresh when page becomes visible
-    const handleVisibilityChange = () => {
-      if (!document.hidden) {
-        refreshIngredients();
-      }
+    const saveHolds = () => {
+      API.saveHolds(holds)
+        .then(({ rejected }) => {
+          if (active && rejected.length > 0) handleRejected(rejected);
+        })
+        .catch(error => showMessageRef.current(error));
+    };
+    saveHolds();
+    const refreshTimer = setInterval(saveHolds, HOLD_REFRESH_INTERVAL);
+    return () => {
+      active = false;
+      clearInterval(refreshTimer);
     };
+  }, [user, loading, cart, selectedIngredients, quantities]);
 
-    // Set up periodic refresh every 15 seconds for real-time updates
-    const refreshInterval = setInterval(() => {
-      if (!document.hidden) {
-        refreshIngredients();
-      }
-    }, 15000);
+  //----------------------------------------------------------------------------
+  // Release the holds when the customer leaves the configurator
+  // A failure is ignored: the customer has left, and the server lets the holds expire anyway
+  useEffect(() => {
+    if (!user) return;
+    return () => {
+      API.releaseHolds().catch(() => {});
+    };
+  }, [user]);
 
-    document.addEventListener('visibilitychange', handleVisibilityChange);
-    
-    // Also refresh when component mounts (after initial load)
-    if (!loading && ingredients.length > 0) {
-      refreshIngredients();
+  //----------------------------------------------------------------------------
+  // Drop what can no longer be prepared whenever availability changes
+  // (somebody else may have ordered the last units of an ingredient)
+  useEffect(() => {
+    if (loading) return;
+
+    // Check if any dish in the cart can no longer be prepared and remove it
+    const { keptItems, removedItems } = checkCartAvailability(cart, ingredients);
+    if (removedItems.length > 0) {
+      setCart(keptItems);
+      showMessage(`${removedItems.length} dish(es) were removed from the cart due to availability changes`, 'info');
     }
 
-    return () => {
-      document.removeEventListener('visibilitychange', handleVisibilityChange);
-      clearInterval(refreshInterval);
-    };
-  }, [user, loading, selectedIngredients, ingredients.length, showMessage]);
+    // Check if any selected ingredients are no longer available and remove them
+    const cartUsage = countCartUsage(keptItems);
+    const stillAvailableIngredients = selectedIngredients.filter(selectedId => {
+      const ingredient = ingredients.find(ing => ing.id === selectedId);
+      return !ingredient || ingredient.availability === null ||
+        getFreeStock(ingredient) - (cartUsage[selectedId] || 0) >= getQuantity(selectedId, quantities);
+    });
+
+    if (stillAvailableIngredients.length !== selectedIngredients.length) {
+      setSelectedIngredients(stillAvailableIngredients);
+      const removedCount = selectedIngredients.length - stillAvailableIngredients.length;
+      showMessage(`${removedCount} ingredient(s) were removed due to availability changes`, 'info');
+    }
+  }, [loading, ingredients, selectedIngredients, quantities, cart, showMessage]);
 
 
 
-  // Calculate total price
-  const getTotalPrice = () => {
-    const basePrice = sizeInfo[selectedSize].price;
-    const ingredientsPrice = selectedIngredients.reduce((sum, id) => {
-      const ingredient = ingredients.find(i => i.id === id);
-      return sum + (ingredient ? ingredient.price : 0);
-    }, 0);
-    return basePrice + ingredientsPrice;
+  // Units of an ingredient still available once the cart and the holds of other
+  // customers are taken into account (null means unlimited)
+  const getRemainingAvailability = (ingredient) => {
+    if (ingredient.availability === null) return null;
+    return getFreeStock(ingredient) - (countCartUsage(cart)[ingredient.id] || 0);
   };
 
+  //----------------------------------------------------------------------------
+  // Ask the server to price the cart whenever it changes
+  // Prices are never computed on the client, so what is shown is what will be charged
+  useEffect(() => {
+    if (cart.length === 0) {
+      setCartQuote(null);
+      return;
+    }
+
+    let ignore = false;
+    API.getQuote({ items: cart.map(toOrderItem) })
+      .then(quote => { if (!ignore) setCartQuote(quote); })
+      .catch(error => { if (!ignore) showMessageRef.current(error); });
+    return () => { ignore = true; };
+  }, [cart]);
+
+  //----------------------------------------------------------------------------
+  // Ask the server to price the dish being configured whenever it changes
+  useEffect(() => {
+    if (!selectedDish || !getSizeInfo(selectedDish, selectedSize)) {
+      setDishQuote(null);
+      return;
+    }
+
+    let ignore = false;
+    const item = { dish: selectedDish, size: selectedSize, ingredients: selectedIngredients, quantities };
+    API.getQuote({ items: [toOrderItem(item)] })
+      .then(quote => { if (!ignore) setDishQuote(quote); })
+      .catch(error => { if (!ignore) showMessageRef.current(error); });
+    return () => { ignore = true; };
+  }, [selectedDish, selectedSize, selectedIngredients, quantities]);
+
+  // Price of a dish in the cart, as quoted by the server
+  const getCartItemPrice = (index) => {
+    if (!cartQuote || cartQuote.items.length !== cart.length) return null;
+    return cartQuote.items[index].price;
+  };
+
+  // Total of the cart, as quoted by the server
+  const getCartTotal = () => {
+    if (cart.length === 0) return 0;
+    if (!cartQuote || cartQuote.items.length !== cart.length) return null;
+    return cartQuote.total;
+  };
+
+  // Format a price that may still be loading
+  const formatPrice = (price) => (price === null || price === undefined ? '…' : `€${price.toFixed(2)}`);
+
   // Recursively add required ingredients
   const addRequiredIngredients = (ingredientId, currentIngredients, visited = new Set()) => {
     // Prevent infinite loops
@@ -155,8 +329,8 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
     const ingredient = ingredients.find(i => i.id === ingredientId);
     if (!ingredient) return false;
 
-    // Check availability
-    if (ingredient.availability !== null && ingredient.availability <= 0) {
+    // Check availability (units already in the cart are not available anymore)
+    if (ingredient.availability !== null && getRemainingAvailability(ingredient) <= 0) {
       return false;
     }
 
@@ -170,7 +344,7 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
     tempIngredients = addRequiredIngredients(ingredientId, tempIngredients);
     
     // Check if adding all required ingredients exceeds the limit
-    if (tempIngredients.length > sizeInfo[selectedSize].maxIngredients) {
+    if (getUsedSlots(tempIngredients) > getMaxIngredients()) {
       return false;
     }
 
@@ -178,7 +352,7 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
     const ingredientsToAdd = tempIngredients.filter(id => !selectedIngredients.includes(id));
     for (const newIngId of ingredientsToAdd) {
       const ing = ingredients.find(i => i.id === newIngId);
-      if (ing && ing.availability !== null && ing.availability <= 0) {
+      if (ing && ing.availability !== null && getRemainingAvailability(ing) <= 0) {
         return false;
       }
     }
@@ -235,16 +409,20 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
         return;
       }
       setSelectedIngredients(prev => prev.filter(id => id !== ingredientId));
+      setQuantities(prev => {
+        const { [ingredientId]: _removed, ...rest } = prev;
+        return rest;
+      });
     } else {
       // Add ingredient
       if (!canAddIngredient(ingredientId)) {
         const ingredient = ingredients.find(i => i.id === ingredientId);
         let error = '';
         
-        if (ingredient.availability !== null && ingredient.availability <= 0) {
+        if (ingredient.availability !== null && getRemainingAvailability(ingredient) <= 0) {
           error = `${ingredient.name} is out of stock`;
-        } else if (selectedIngredients.length >= sizeInfo[selectedSize].maxIngredients) {
-          error = `${selectedSize} size can only have ${sizeInfo[selectedSize].maxIngredients} ingredients`;
+        } else if (getUsedSlots(selectedIngredients) >= getMaxIngredients()) {
+          error = `${selectedSize} size can only have ${getMaxIngredients()} ingredients`;
         } else if (ingredient.incompatible) {
           const conflicting = ingredient.incompatible.find(incompatible => {
             const incompatibleId = ingredients.find(i => i.name === incompatible)?.id;
@@ -266,12 +444,12 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
       newIngredients = addRequiredIngredients(ingredientId, newIngredients);
       
       // Check if adding all required ingredients exceeds the limit
-      if (newIngredients.length > sizeInfo[selectedSize].maxIngredients) {
+      if (getUsedSlots(newIngredients) > getMaxIngredients()) {
         const ingredient = ingredients.find(i => i.id === ingredientId);
         const requiredCount = newIngredients.length - selectedIngredients.length;
         setConstraintError(
           `Cannot add ${ingredient.name}: it requires ${requiredCount - 1} additional ingredients ` +
-          `(${newIngredients.length - selectedIngredients.length} total), but only ${sizeInfo[selectedSize].maxIngredients - selectedIngredients.length} slots available`
+          `(${newIngredients.length - selectedIngredients.length} total), but only ${getMaxIngredients() - getUsedSlots(selectedIngredients)} slots available`
         );
         return;
       }
@@ -280,7 +458,7 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
       const ingredientsToAdd = newIngredients.filter(id => !selectedIngredients.includes(id));
       for (const newIngId of ingredientsToAdd) {
         const ing = ingredients.find(i => i.id === newIngId);
-        if (ing && ing.availability !== null && ing.availability <= 0) {
+        if (ing && ing.availability !== null && getRemainingAvailability(ing) <= 0) {
           setConstraintError(`Cannot add required ingredient ${ing.name}: out of stock`);
           return;
         }
@@ -290,9 +468,21 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
     }
   };
 
+  // Handle dish change, keeping the same size if the new dish offers it
+  const handleDishChange = (newDish) => {
+    const newSize = getSizeInfo(newDish, selectedSize) ? selectedSize : (newDish.sizes[0]?.size || '');
+    if (getUsedSlots(selectedIngredients) > (getSizeInfo(newDish, newSize)?.max_ingredients ?? 0)) {
+      setConstraintError(`Cannot change to ${newDish.name} (${newSize}): too many ingredients selected`);
+      return;
+    }
+    setConstraintError('');
+    setSelectedDish(newDish);
+    setSelectedSize(newSize);
+  };
+
   // Handle size change
   const handleSizeChange = (newSize) => {
-    if (selectedIngredients.length > sizeInfo[newSize].maxIngredients) {
+    if (getUsedSlots(selectedIngredients) > getSizeInfo(selectedDish, newSize).max_ingredients) {
       setConstraintError(`Cannot change to ${newSize} size: too many ingredients selected`);
       return;
     }
@@ -300,34 +490,74 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
     setSelectedSize(newSize);
   };
 
+  // Handle a change in the portions of a selected ingredient (+1 or -1)
+  const handleQuantityChange = (ingredientId, delta) => {
+    const ingredient = ingredients.find(i => i.id === ingredientId);
+    const newQuantity = getQuantity(ingredientId, quantities) + delta;
+    if (!ingredient || newQuantity < 1) return;
+
+    if (delta > 0) {
+      if (getUsedSlots(selectedIngredients) + delta > getMaxIngredients()) {
+        setConstraintError(`${selectedSize} size can only have ${getMaxIngredients()} ingredients (extra portions included)`);
+        return;
+      }
+      if (ingredient.availability !== null && getRemainingAvailability(ingredient) < newQuantity) {
+        setConstraintError(`Not enough ${ingredient.name} for another portion`);
+        return;
+      }
+    }
+
+    setConstraintError('');
+    setQuantities(prev => ({ ...prev, [ingredientId]: newQuantity }));
+  };
+
+  // Add the dish being configured to the cart and start a new one
+  const handleAddToCart = () => {
+    setCart(prev => [...prev, {
+      key: Date.now(),
+      dish: selectedDish,
+      size: selectedSize,
+      ingredients: selectedIngredients,
+      quantities: quantities
+    }]);
+    setSelectedIngredients([]);
+    setQuantities({});
+    setConstraintError('');
+  };
+
+  // Remove a dish from the cart
+  const handleRemoveFromCart = (key) => {
+    setCart(prev => prev.filter(item => item.key !== key));
+  };
+
   // Handle order submission confirmation with pre-check
   const handleOrderSubmit = async () => {
-    // First, refresh ingredients to ensure we have the latest availability
+    // First, get a fresh quote to ensure we have the latest availability and prices
     try {
-      const freshIngredients = await API.getIngredients();
-      setIngredients(freshIngredients);
-      
-      // Check if any selected ingredients are no longer available
-      const unavailableIngredients = [];
-      const stillAvailableIngredients = [];
-      
-      for (const selectedId of selectedIngredients) {
-        const ingredient = freshIngredients.find(ing => ing.id === selectedId);
-        if (ingredient && ingredient.availability !== null && ingredient.availability <= 0) {
-          unavailableIngredients.push(ingredient.name);
+      const quote = await API.getQuote({ items: cart.map(toOrderItem) });
+      setCartQuote(quote);
+
+      if (quote.exhausted_ingredients.length > 0) {
+        const freshIngredients = await API.getIngredients();
+        setIngredients(freshIngredients);
+
+        // If some dishes cannot be prepared anymore, remove them and warn user
+        const { keptItems, removedItems } = checkCartAvailability(cart, freshIngredients);
+        if (removedItems.length > 0) {
+          setCart(keptItems);
+          showMessage(`The following dishes cannot be prepared anymore and were removed from the cart: ${removedItems.map(item => `${item.dish.name} (${item.size})`).join(', ')}. Please review your order and try again.`, 'warning');
         } else {
-          stillAvailableIngredients.push(selectedId);
+          showMessage(`Not enough stock for: ${quote.exhausted_ingredients.map(ing => ing.name).join(', ')}. Please review your order and try again.`, 'warning');
         }
+        return;
       }
-      
-      // If some ingredients became unavailable, update selection and warn user
-      if (unavailableIngredients.length > 0) {
-        setSelectedIngredients(stillAvailableIngredients);
-        showMessage(`The following ingredients became unavailable and were removed: ${unavailableIngredients.join(', ')}. Please review your order and try again.`, 'warning');
+
+      if (quote.violations.length > 0) {
+        showMessage(quote.violations.map(v => v.message).join('; '), 'warning');
         return;
       }
       
-      // All ingredients are still available, proceed with confirmation
+      // The order is valid, proceed with confirmation
       setShowConfirm(true);
     } catch (error) {
       showMessage('Error checking ingredient availability. Please try again.', 'danger');
@@ -339,14 +569,13 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
     setSubmitting(true);
     try {
       const order = {
-        dish_id: selectedDish.id,
-        size: selectedSize,
-        ingredients: selectedIngredients
+        items: cart.map(toOrderItem)
       };
       
       await API.addOrder(order);
       showMessage('Order submitted successfully!', 'success');
       setShowConfirm(false);
+      setCart([]);
       
       if (onOrderComplete) {
         onOrderComplete();
@@ -360,26 +589,16 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
         const updatedIngredients = await API.getIngredients();
         setIngredients(updatedIngredients);
         
-        // Analyze which ingredients became unavailable
-        const unavailableIngredients = [];
-        const stillAvailableIngredients = [];
+        // Analyze which dishes cannot be prepared anymore
+        const { keptItems, removedItems } = checkCartAvailability(cart, updatedIngredients);
         
-        for (const selectedId of selectedIngredients) {
-          const updatedIngredient = updatedIngredients.find(ing => ing.id === selectedId);
-          if (updatedIngredient && updatedIngredient.availability !== null && updatedIngredient.availability <= 0) {
-            unavailableIngredients.push(updatedIngredient.name);
-          } else {
-            stillAvailableIngredients.push(selectedId);
-          }
-        }
-        
-        // Update selected ingredients to remove unavailable ones
-        if (unavailableIngredients.length > 0) {
-          setSelectedIngredients(stillAvailableIngredients);
+        // Update the cart to remove them
+        if (removedItems.length > 0) {
+          setCart(keptItems);
           
           // Create a detailed error message
           const errorMessage = error.error || 'Order failed due to ingredient availability';
-          const detailMessage = `The following ingredients became unavailable and were removed from your order: ${unavailableIngredients.join(', ')}. Please review your selection and try again.`;
+          const detailMessage = `The following dishes cannot be prepared anymore and were removed from your cart: ${removedItems.map(item => `${item.dish.name} (${item.size})`).join(', ')}. Please review your cart and try again.`;
           
           showMessage(`${errorMessage}. ${detailMessage}`, 'warning');
         } else {
@@ -455,10 +674,10 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
                               <Badge bg="primary" className="ms-2">€{ingredient.price.toFixed(2)}</Badge>
                               {ingredient.availability !== null && (
                                 <Badge 
-                                  bg={ingredient.availability > 0 ? "success" : "danger"} 
+                                  bg={getRemainingAvailability(ingredient) > 0 ? "success" : "danger"} 
                                   className="ms-1"
                                 >
-                                  {ingredient.availability > 0 ? `${ingredient.availability} left` : 'Out of stock'}
+                                  {getRemainingAvailability(ingredient) > 0 ? `${getRemainingAvailability(ingredient)} left` : 'Out of stock'}
                                 </Badge>
                               )}
                               
@@ -517,17 +736,75 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
               <Card.Body className="text-center p-4 card-body-success-gradient">
                 <h3 className="text-white mb-0 fw-bold">
                   <i className="bi bi-currency-euro me-2"></i>
-                  Total: €{getTotalPrice().toFixed(2)}
+                  Total: {formatPrice(getCartTotal())}
                 </h3>
               </Card.Body>
             </Card>
 
+            {/* Cart */}
+            <Card className="mb-3 border-0 shadow-lg rounded-4">
+              <Card.Header className="text-white border-0 card-header-gradient">
+                <h5 className="mb-0 fw-bold">
+                  <i className="bi bi-cart-fill me-2"></i>
+                  Your Cart ({cart.length})
+                </h5>
+              </Card.Header>
+              <Card.Body className="p-4">
+                {cart.length === 0 ? (
+                  <p className="text-muted mb-3">No dishes in the cart yet</p>
+                ) : (
+                  <ListGroup variant="flush" className="mb-3">
+                    {cart.map((item, index) => (
+                      <ListGroup.Item key={item.key} className="d-flex justify-content-between align-items-center border-0 px-0">
+                        <div>
+                          <strong className="text-capitalize">{item.dish.name} ({item.size})</strong>
+                          <div className="small text-muted">
+                            {item.ingredients.length === 0
+                              ? 'No ingredients'
+                              : item.ingredients.map(id => {
+                                  const name = ingredients.find(i => i.id === id)?.name;
+                                  const quantity = getQuantity(id, item.quantities);
+                                  return name && (quantity > 1 ? `${quantity}× ${name}` : name);
+                                }).filter(Boolean).join(', ')}
+                          </div>
+                        </div>
+                        <div className="d-flex align-items-center gap-2">
+                          <Badge bg="primary">{formatPrice(getCartItemPrice(index))}</Badge>
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => handleRemoveFromCart(item.key)}
+                            className="rounded-pill"
+                          >
+                            <i className="bi bi-trash"></i>
+                          </Button>
+                        </div>
+                      </ListGroup.Item>
+                    ))}
+                  </ListGroup>
+                )}
+
+                {/* Submit Button */}
+                <div className="d-grid">
+                  <Button 
+                    size="lg"
+                    onClick={handleOrderSubmit}
+                    disabled={cart.length === 0}
+                    className="fw-bold border-0 shadow-sm btn-gradient-primary"
+                  >
+                    <i className="bi bi-cart-check me-2"></i>
+                    Submit Order
+                  </Button>
+                </div>
+              </Card.Body>
+            </Card>
+
             {/* Order Configuration */}
             <Card className="border-0 shadow-lg rounded-4">
               <Card.Header className="text-white border-0 card-header-gradient">
                 <h5 className="mb-0 fw-bold">
                   <i className="bi bi-gear-fill me-2"></i>
-                  Your Order
+                  Configure a Dish
                 </h5>
               </Card.Header>
               <Card.Body className="p-4">
@@ -536,7 +813,7 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
                   <Form.Label className="fw-bold">Base Dish</Form.Label>
                   <Form.Select 
                     value={selectedDish?.id || ''} 
-                    onChange={(e) => setSelectedDish(dishes.find(d => d.id === parseInt(e.target.value)))}
+                    onChange={(e) => handleDishChange(dishes.find(d => d.id === parseInt(e.target.value)))}
                     className="rounded-3"
                   >
                     {dishes.map(dish => (
@@ -551,15 +828,15 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
                 <div className="mb-4">
                   <Form.Label className="fw-bold">Size</Form.Label>
                   <div className="d-flex gap-2">
-                    {Object.entries(sizeInfo).map(([size, info]) => (
+                    {(selectedDish?.sizes || []).map(info => (
                       <Button
-                        key={size}
-                        variant={selectedSize === size ? "primary" : "outline-primary"}
-                        onClick={() => handleSizeChange(size)}
+                        key={info.size}
+                        variant={selectedSize === info.size ? "primary" : "outline-primary"}
+                        onClick={() => handleSizeChange(info.size)}
                         className="flex-fill rounded-3"
                       >
-                        {size.charAt(0).toUpperCase() + size.slice(1)}<br/>
-                        <small>€{info.price} (max {info.maxIngredients})</small>
+                        {info.size.charAt(0).toUpperCase() + info.size.slice(1)}<br/>
+                        <small>€{info.price} (max {info.max_ingredients})</small>
                       </Button>
                     ))}
                   </div>
@@ -568,7 +845,7 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
                 {/* Selected Ingredients */}
                 <div className="mb-4">
                   <Form.Label className="fw-bold">
-                    Selected Ingredients ({selectedIngredients.length}/{sizeInfo[selectedSize].maxIngredients})
+                    Selected Ingredients ({getUsedSlots(selectedIngredients)}/{getMaxIngredients()})
                   </Form.Label>
                   {selectedIngredients.length === 0 ? (
                     <p className="text-muted">No ingredients selected</p>
@@ -577,8 +854,27 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
                       {selectedIngredients.map(id => {
                         const ingredient = ingredients.find(i => i.id === id);
                         return ingredient ? (
-                          <Badge key={id} bg="secondary" className="p-2">
-                            {ingredient.name} (€{ingredient.price.toFixed(2)})
+                          <Badge key={id} bg="secondary" className="p-2 d-flex align-items-center gap-2">
+                            <Button
+                              variant="light"
+                              size="sm"
+                              className="py-0 px-1"
+                              onClick={() => handleQuantityChange(id, -1)}
+                              disabled={getQuantity(id, quantities) <= 1}
+                              aria-label={`One portion less of ${ingredient.name}`}
+                            >
+                              <i className="bi bi-dash"></i>
+                            </Button>
+                            <span>{getQuantity(id, quantities)}× {ingredient.name} (€{ingredient.price.toFixed(2)})</span>
+                            <Button
+                              variant="light"
+                              size="sm"
+                              className="py-0 px-1"
+                              onClick={() => handleQuantityChange(id, 1)}
+                              aria-label={`One more portion of ${ingredient.name}`}
+                            >
+                              <i className="bi bi-plus"></i>
+                            </Button>
                           </Badge>
                         ) : null;
                       })}
@@ -586,16 +882,17 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
                   )}
                 </div>
 
-                {/* Submit Button */}
+                {/* Add to Cart Button */}
                 <div className="d-grid">
                   <Button 
+                    variant="outline-primary"
                     size="lg"
-                    onClick={handleOrderSubmit}
-                    disabled={!selectedDish}
-                    className="fw-bold border-0 shadow-sm btn-gradient-primary"
+                    onClick={handleAddToCart}
+                    disabled={!getSizeInfo(selectedDish, selectedSize)}
+                    className="fw-bold rounded-3"
                   >
-                    <i className="bi bi-cart-check me-2"></i>
-                    Submit Order
+                    <i className="bi bi-cart-plus me-2"></i>
+                    Add to Cart ({formatPrice(dishQuote?.total)})
                   </Button>
                 </div>
               </Card.Body>
@@ -613,26 +910,24 @@ function OrderConfigurator({ user, showMessage, onOrderComplete }) {
           </Modal.Title>
         </Modal.Header>
         <Modal.Body className="p-4">
-          <div className="mb-3">
-            <strong>Dish:</strong> {selectedDish?.name} ({selectedSize})
-          </div>
-          <div className="mb-3">
-            <strong>Ingredients:</strong>
-            {selectedIngredients.length === 0 ? (
-              <span className="text-muted"> None</span>
-            ) : (
-              <ul className="mb-0 mt-2">
-                {selectedIngredients.map(id => {
-                  const ingredient = ingredients.find(i => i.id === id);
-                  return ingredient ? (
-                    <li key={id}>{ingredient.name} (€{ingredient.price.toFixed(2)})</li>
-                  ) : null;
-                })}
+          {cartQuote?.items.map((item, index) => (
+            <div key={index} className="mb-3">
+              <div className="d-flex justify-content-between">
+                <strong className="text-capitalize">{item.dish_name} ({item.size})</strong>
+                <span>{formatPrice(item.price)}</span>
+              </div>
+              <ul className="mb-0 mt-1">
+                <li>Base price ({item.size}): {formatPrice(item.base_price)}</li>
+                {item.ingredients.map(ingredient => (
+                  <li key={ingredient.id}>
+                    {ingredient.quantity > 1 && `${ingredient.quantity}× `}{ingredient.name} ({formatPrice(ingredient.price)}{ingredient.quantity > 1 && ' each'})
+                  </li>
+                ))}
               </ul>
-            )}
-          </div>
+            </div>
+          ))}
           <div className="border-top pt-3">
-            <h5><strong>Total: €{getTotalPrice().toFixed(2)}</strong></h5>
+            <h5><strong>Total: {formatPrice(cartQuote?.total)}</strong></h5>
           </div>
         </Modal.Body>
         <Modal.Footer className="border-0">
@@ -1,12 +1,82 @@
-import { useState, useEffect } from 'react';
-import { Row, Col, Card, Badge, Button, Modal, ListGroup } from 'react-bootstrap';
+import { useState, useEffect, useRef } from 'react';
+import { Row, Col, Card, Badge, Button, Modal, ListGroup, Form, Alert } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import dayjs from 'dayjs';
 import API from '../API';
 
-function OrderHistory({ user, showMessage }) {
+// Steps of the order lifecycle, in the order the kitchen goes through them
+const ORDER_STEPS = [
+  { status: 'confirmed', label: 'Confirmed', icon: 'bi-check-circle' },
+  { status: 'preparing', label: 'Preparing', icon: 'bi-fire' },
+  { status: 'ready', label: 'Ready', icon: 'bi-bell' },
+  { status: 'collected', label: 'Collected', icon: 'bi-bag-check' }
+];
+
+// Filters of the order history, as chosen in the form (empty means no filter)
+// to is the last day included, the server excludes it: it gets the following day
+const NO_FILTERS = { status: '', dish_id: '', size: '', from: '', to: '', sort: 'date_desc' };
+
+// Orders loaded for each page, while scrolling down
+const ORDERS_PAGE_SIZE = 12;
+
+function toQueryParams(filters) {
+  return { ...filters, to: filters.to && dayjs(filters.to).add(1, 'day').format('YYYY-MM-DD') };
+}
+
+//----------------------------------------------------------------------------
+// Progress timeline of an order: every step reached so far with its time
+// A cancelled order shows the steps it went through, then the cancellation
+function OrderTimeline({ order, compact }) {
+  const reachedAt = (status) => order.statusHistory.find(change => change.status === status)?.timestamp;
+  const cancelledAt = reachedAt('cancelled');
+  const currentIndex = ORDER_STEPS.findIndex(step => step.status === order.status);
+
+  const steps = cancelledAt
+    ? [
+        ...ORDER_STEPS.filter(step => reachedAt(step.status)),
+        { status: 'cancelled', label: 'Cancelled', icon: 'bi-x-circle' }
+      ]
+    : ORDER_STEPS;
+
+  return (
+    <div className="d-flex align-items-start">
+      {steps.map((step, index) => {
+        const time = reachedAt(step.status);
+        const reached = cancelledAt || index <= currentIndex;
+        const nextReached = cancelledAt || index < currentIndex;
+        const variant = step.status === 'cancelled' ? 'danger' : reached ? 'success' : 'secondary';
+
+        return (
+          <div key={step.status} className="d-flex align-items-start flex-fill">
+            <div className={`text-center ${reached ? '' : 'opacity-50'}`}>
+              <i className={`bi ${step.icon} text-${variant} ${compact ? '' : 'fs-4'}`}></i>
+              <div className={`small ${step.status === order.status ? 'fw-bold' : ''}`}>{step.label}</div>
+              {!compact && (
+                <div className="small text-muted">{time ? time.format('MMM DD, HH:mm') : '—'}</div>
+              )}
+            </div>
+            {index < steps.length - 1 && (
+              <div className={`flex-fill border-top border-2 mx-1 mt-2 border-${nextReached ? 'success' : 'secondary'}`}></div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function OrderHistory({ user, showMessage, onStepUp }) {
   const [orders, setOrders] = useState([]);
+  const [dishes, setDishes] = useState([]);
+  const [filters, setFilters] = useState(NO_FILTERS);
+  // Cursor of the next page, null once every order is loaded
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Next page asked by the infinite scroll, { filters, cursor }, null when none is loading
+  const [pageRequest, setPageRequest] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  // Element at the end of the list: when it scrolls into view, the next page is loaded
+  const endOfListRef = useRef(null);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
   const [showCancelConfirm, setShowCancelConfirm] = useState(false);
@@ -15,34 +85,115 @@ function OrderHistory({ user, showMessage }) {
   const navigate = useNavigate();
 
   //----------------------------------------------------------------------------
-  // Load orders on component mount and redirect if not authenticated
-  // This effect runs when the component mounts or when user, navigate, or showMessage changes
-  // It checks authentication and loads the user's order history from the API
+  // Redirect if not authenticated, and load the dishes (for the filters)
   useEffect(() => {
     if (!user) {
       navigate('/login');
       return;
     }
 
-    const loadOrders = async () => {
-      try {
-        const ordersData = await API.getOrders();
-        setOrders(ordersData);
-      } catch (error) {
-        showMessage('Error loading orders');
-      } finally {
-        setLoading(false);
-      }
-    };
+    let ignore = false;
+    API.getDishes()
+      .then(dishesData => { if (!ignore) setDishes(dishesData); })
+      .catch(() => { if (!ignore) setLoadError('Error loading the dishes'); });
+    return () => { ignore = true; };
+  }, [user, navigate]);
+
+  //----------------------------------------------------------------------------
+  // Load the first page of orders, again whenever the filters change
+  // (errors are shown here: the global message would re-render the page and reload it)
+  const userId = user?.id;
+  useEffect(() => {
+    if (!userId) return;
 
-    loadOrders();
-  }, [user, navigate, showMessage]);
+    let ignore = false;
+    setLoading(true);
+    setLoadError('');
+    setPageRequest(null);
+    API.getOrders({ ...toQueryParams(filters), limit: ORDERS_PAGE_SIZE })
+      .then(page => {
+        if (ignore) return;
+        setOrders(page.orders);
+        setNextCursor(page.nextCursor);
+      })
+      .catch(error => { if (!ignore) setLoadError(error.error || 'Error loading orders'); })
+      .finally(() => { if (!ignore) setLoading(false); });
+    return () => { ignore = true; };
+  }, [userId, filters]);
+
+  //----------------------------------------------------------------------------
+  // Infinite scroll: ask for the next page when the end of the list comes into view
+  useEffect(() => {
+    const endOfList = endOfListRef.current;
+    if (!endOfList || !nextCursor || pageRequest) return;
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) setPageRequest({ filters, cursor: nextCursor });
+    }, { rootMargin: '200px' });
+    observer.observe(endOfList);
+    return () => observer.disconnect();
+  }, [nextCursor, pageRequest, filters, orders.length]);
+
+  //----------------------------------------------------------------------------
+  // Load the page asked by the infinite scroll, and add its orders to the list
+  // (dropped if the filters changed meanwhile; after an error, no more pages are asked)
+  useEffect(() => {
+    if (!pageRequest) return;
+
+    let ignore = false;
+    API.getOrders({ ...toQueryParams(pageRequest.filters), limit: ORDERS_PAGE_SIZE, cursor: pageRequest.cursor })
+      .then(page => {
+        if (ignore) return;
+        // Skip the orders already shown (e.g. if the list was reloaded meanwhile)
+        setOrders(prev => [...prev, ...page.orders.filter(order => !prev.some(o => o.id === order.id))]);
+        setNextCursor(page.nextCursor);
+      })
+      .catch(error => {
+        if (ignore) return;
+        setLoadError(error.error || 'Error loading orders');
+        setNextCursor(null);
+      })
+      .finally(() => { if (!ignore) setPageRequest(null); });
+    return () => { ignore = true; };
+  }, [pageRequest]);
+
+  const handleFilterChange = (event) => {
+    const { name, value } = event.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const hasFilters = Object.keys(NO_FILTERS).some(key => key !== 'sort' && filters[key] !== NO_FILTERS[key]);
+  // Every size offered by some dish, for the size filter
+  const sizes = [...new Set(dishes.flatMap(dish => dish.sizes.map(size => size.size)))];
+
+  //----------------------------------------------------------------------------
+  // Follow the kitchen's progress on the user's orders through the live updates
+  useEffect(() => {
+    if (!user) return;
+
+    const updateOrder = (updatedOrder) => {
+      setOrders(prev => prev.map(order => order.id === updatedOrder.id ? updatedOrder : order));
+      setSelectedOrder(prev => prev?.id === updatedOrder.id ? updatedOrder : prev);
+    };
+    return API.subscribeToUpdates({ onOrderStatus: updateOrder });
+  }, [user]);
 
   const handleViewDetails = (order) => {
     setSelectedOrder(order);
     setShowDetails(true);
   };
 
+  // Ask to confirm the cancellation, after completing 2FA if the session does not have it
+  const startCancelOrder = (order) => {
+    const confirmCancel = () => {
+      setSelectedOrder(order);
+      setShowDetails(false);
+      setShowCancelConfirm(true);
+    };
+    if (user.isTotp) confirmCancel();
+    else onStepUp(confirmCancel);
+  };
+
   const handleCancelOrder = async () => {
     if (!selectedOrder) return;
 
@@ -51,45 +202,45 @@ function OrderHistory({ user, showMessage }) {
       await API.deleteOrder(selectedOrder.id);
       showMessage('Order cancelled successfully!', 'success');
       
-      // Refresh orders
-      const ordersData = await API.getOrders();
-      setOrders(ordersData);
+      // Refresh the cancelled order, where it is in the list
+      const cancelledOrder = await API.getOrder(selectedOrder.id);
+      setOrders(prev => prev.map(order => order.id === cancelledOrder.id ? cancelledOrder : order));
       
       setShowCancelConfirm(false);
       setShowDetails(false);
       setSelectedOrder(null);
     } catch (error) {
-      showMessage(error.error || 'Error cancelling order');
+      if (error.error === 'TOTP authentication required') {
+        // The 2FA of the session expired: verify it again, then confirm again
+        setShowCancelConfirm(false);
+        onStepUp(() => setShowCancelConfirm(true));
+      } else {
+        showMessage(error.error || 'Error cancelling order');
+      }
     } finally {
       setCancelling(false);
     }
   };
 
-  const getOrderTotal = (order) => {
-    const sizePrice = { small: 5, medium: 7, large: 9 }[order.size] || 0;
-    const ingredientsPrice = order.ingredients?.reduce((sum, ing) => sum + ing.price, 0) || 0;
-    return sizePrice + ingredientsPrice;
+  // Prices are the ones the order was placed with (recorded by the server), not the
+  // current menu prices; orders placed long ago may lack the price of a size
+  const formatPrice = (price) => price === null || price === undefined ? 'N/A' : `€${price.toFixed(2)}`;
+
+  // Ingredient label with its portions, e.g. "2× mozzarella"
+  const formatIngredient = (ingredient) => {
+    return ingredient.quantity > 1 ? `${ingredient.quantity}× ${ingredient.name}` : ingredient.name;
   };
 
+  // Users enrolled in 2FA can cancel orders the kitchen has not started,
+  // completing 2FA first if they skipped it
   const canCancelOrder = (order) => {
-    return user?.isTotp && order.status === 'confirmed';
+    return user?.canDoTotp && order.status === 'confirmed';
   };
 
   if (!user) {
     return null;
   }
 
-  if (loading) {
-    return (
-      <div className="text-center py-5">
-        <div className="spinner-border text-primary" role="status">
-          <span className="visually-hidden">Loading...</span>
-        </div>
-        <p className="mt-3 text-muted">Loading your orders...</p>
-      </div>
-    );
-  }
-
   return (
     <>
       <Row>
@@ -102,7 +253,82 @@ function OrderHistory({ user, showMessage }) {
               </h5>
             </Card.Header>
             <Card.Body className="p-4">
-              {orders.length === 0 ? (
+              {/* Filters */}
+              <Form className="mb-4">
+                <Row className="g-2">
+                  <Col sm={6} lg={2}>
+                    <Form.Select name="status" value={filters.status} onChange={handleFilterChange} aria-label="Status">
+                      <option value="">Any status</option>
+                      <option value="confirmed,preparing,ready">In progress</option>
+                      <option value="confirmed">Confirmed</option>
+                      <option value="preparing">Preparing</option>
+                      <option value="ready">Ready</option>
+                      <option value="collected">Collected</option>
+                      <option value="cancelled">Cancelled</option>
+                    </Form.Select>
+                  </Col>
+                  <Col sm={6} lg={2}>
+                    <Form.Select name="dish_id" value={filters.dish_id} onChange={handleFilterChange} aria-label="Dish">
+                      <option value="">Any dish</option>
+                      {dishes.map(dish => (
+                        <option key={dish.id} value={dish.id}>{dish.name}</option>
+                      ))}
+                    </Form.Select>
+                  </Col>
+                  <Col sm={6} lg={2}>
+                    <Form.Select name="size" value={filters.size} onChange={handleFilterChange} aria-label="Size" className="text-capitalize">
+                      <option value="">Any size</option>
+                      {sizes.map(size => (
+                        <option key={size} value={size}>{size}</option>
+                      ))}
+                    </Form.Select>
+                  </Col>
+                  <Col sm={6} lg={2}>
+                    <Form.Control type="date" name="from" value={filters.from} onChange={handleFilterChange}
+                      max={filters.to || undefined} aria-label="From" title="From" />
+                  </Col>
+                  <Col sm={6} lg={2}>
+                    <Form.Control type="date" name="to" value={filters.to} onChange={handleFilterChange}
+                      min={filters.from || undefined} aria-label="To" title="To" />
+                  </Col>
+                  <Col sm={6} lg={2}>
+                    <Form.Select name="sort" value={filters.sort} onChange={handleFilterChange} aria-label="Sort">
+                      <option value="date_desc">Newest first</option>
+                      <option value="date_asc">Oldest first</option>
+                      <option value="total_desc">Highest total</option>
+                      <option value="total_asc">Lowest total</option>
+                    </Form.Select>
+                  </Col>
+                </Row>
+              </Form>
+
+              {loadError && (
+                <Alert variant="danger" className="rounded-3">
+                  <i className="bi bi-exclamation-triangle-fill me-2"></i>
+                  {loadError}
+                </Alert>
+              )}
+
+              {loading ? (
+                <div className="text-center py-5">
+                  <div className="spinner-border text-primary" role="status">
+                    <span className="visually-hidden">Loading...</span>
+                  </div>
+                  <p className="mt-3 text-muted">Loading your orders...</p>
+                </div>
+              ) : orders.length === 0 && hasFilters ? (
+                <div className="text-center py-5">
+                  <i className="bi bi-funnel display-4 text-muted"></i>
+                  <h6 className="mt-3 text-muted">No orders match the filters</h6>
+                  <Button
+                    variant="outline-secondary"
+                    onClick={() => setFilters(prev => ({ ...NO_FILTERS, sort: prev.sort }))}
+                    className="rounded-pill"
+                  >
+                    Clear Filters
+                  </Button>
+                </div>
+              ) : orders.length === 0 ? (
                 <div className="text-center py-5">
                   <i className="bi bi-cart-x display-4 text-muted"></i>
                   <h6 className="mt-3 text-muted">No orders yet</h6>
@@ -122,21 +348,30 @@ function OrderHistory({ user, showMessage }) {
                     <Col md={6} lg={4} key={order.id} className="mb-4">
                       <Card className="h-100 dish-card">
                         <Card.Body className="p-3">
-                          <div className="d-flex justify-content-between align-items-start mb-2">
-                            <Badge 
-                              bg={order.status === 'confirmed' ? 'success' : order.status === 'cancelled' ? 'danger' : 'warning'}
-                              className="text-capitalize"
-                            >
-                              {order.status}
-                            </Badge>
+                          <div className="d-flex justify-content-end mb-2">
                             <small className="text-muted">
                               Order #{order.id}
                             </small>
                           </div>
+
+                          <div className="mb-3">
+                            <OrderTimeline order={order} compact />
+                          </div>
                           
-                          <h6 className="fw-bold text-capitalize mb-2">
-                            {order.dish_name} ({order.size})
+                          <h6 className="fw-bold mb-2">
+                            {order.items.length} {order.items.length === 1 ? 'dish' : 'dishes'}
                           </h6>
+
+                          <ul className="list-unstyled mb-2">
+                            {order.items.map(item => (
+                              <li key={item.id} className="small">
+                                <span className="fw-semibold text-capitalize">{item.dish_name} ({item.size})</span>
+                                {item.ingredients.length > 0 && (
+                                  <span className="text-muted"> - {item.ingredients.map(formatIngredient).join(', ')}</span>
+                                )}
+                              </li>
+                            ))}
+                          </ul>
                           
                           <div className="mb-2">
                             <small className="text-muted">
@@ -148,13 +383,8 @@ function OrderHistory({ user, showMessage }) {
                           <div className="mb-3">
                             <Badge bg="primary">
                               <i className="bi bi-currency-euro me-1"></i>
-                              {getOrderTotal(order).toFixed(2)}
+                              {order.total.toFixed(2)}
                             </Badge>
-                            {order.ingredients?.length > 0 && (
-                              <Badge bg="secondary" className="ms-1">
-                                +{order.ingredients.length} ingredients
-                              </Badge>
-                            )}
                           </div>
                           
                           <div className="d-grid gap-2">
@@ -172,14 +402,11 @@ function OrderHistory({ user, showMessage }) {
                               <Button 
                                 variant="outline-danger" 
                                 size="sm"
-                                onClick={() => {
-                                  setSelectedOrder(order);
-                                  setShowCancelConfirm(true);
-                                }}
+                                onClick={() => startCancelOrder(order)}
                                 className="rounded-pill"
                               >
-                                <i className="bi bi-x-circle me-1"></i>
-                                Cancel Order
+                                <i className={`bi ${user.isTotp ? 'bi-x-circle' : 'bi-shield-lock'} me-1`}></i>
+                                {user.isTotp ? 'Cancel Order' : 'Verify 2FA to Cancel'}
                               </Button>
                             )}
                           </div>
@@ -189,6 +416,16 @@ function OrderHistory({ user, showMessage }) {
                   ))}
                 </Row>
               )}
+
+              {/* Reaching this point of the page loads the next orders */}
+              {!loading && <div ref={endOfListRef}></div>}
+              {pageRequest && (
+                <div className="text-center py-3">
+                  <div className="spinner-border spinner-border-sm text-primary" role="status">
+                    <span className="visually-hidden">Loading...</span>
+                  </div>
+                </div>
+              )}
             </Card.Body>
           </Card>
         </Col>
@@ -207,49 +444,47 @@ function OrderHistory({ user, showMessage }) {
             <>
               <Row className="mb-4">
                 <Col md={6}>
-                  <div className="mb-3">
-                    <strong>Status:</strong>
-                    <Badge 
-                      bg={selectedOrder.status === 'confirmed' ? 'success' : selectedOrder.status === 'cancelled' ? 'danger' : 'warning'}
-                      className="ms-2 text-capitalize"
-                    >
-                      {selectedOrder.status}
-                    </Badge>
-                  </div>
                   <div className="mb-3">
                     <strong>Date:</strong> {selectedOrder.timestamp ? dayjs(selectedOrder.timestamp).format('MMMM DD, YYYY HH:mm') : 'N/A'}
                   </div>
                 </Col>
-                <Col md={6}>
-                  <div className="mb-3">
-                    <strong>Dish:</strong> {selectedOrder.dish_name} ({selectedOrder.size})
-                  </div>
-                  <div className="mb-3">
-                    <strong>Base Price:</strong> €{({ small: 5, medium: 7, large: 9 }[selectedOrder.size] || 0).toFixed(2)}
-                  </div>
-                </Col>
               </Row>
 
               <div className="mb-4">
-                <strong>Ingredients:</strong>
-                {!selectedOrder.ingredients || selectedOrder.ingredients.length === 0 ? (
-                  <span className="text-muted"> None</span>
-                ) : (
-                  <ListGroup variant="flush" className="mt-2">
-                    {selectedOrder.ingredients.map((ingredient, index) => (
-                      <ListGroup.Item key={index} className="d-flex justify-content-between align-items-center border-0 px-0">
-                        <span className="text-capitalize">{ingredient.name}</span>
-                        <Badge bg="primary">€{ingredient.price.toFixed(2)}</Badge>
-                      </ListGroup.Item>
-                    ))}
-                  </ListGroup>
-                )}
+                <strong className="d-block mb-2">Status:</strong>
+                <OrderTimeline order={selectedOrder} />
               </div>
 
+              {selectedOrder.items.map((item, itemIndex) => (
+                <div key={item.id} className="mb-4">
+                  <div className="d-flex justify-content-between align-items-center">
+                    <strong className="text-capitalize">
+                      {itemIndex + 1}. {item.dish_name} ({item.size})
+                    </strong>
+                    <Badge bg="secondary">{formatPrice(item.price)}</Badge>
+                  </div>
+                  <div className="small text-muted">
+                    Base Price: {formatPrice(item.size_price)}
+                  </div>
+                  {item.ingredients.length === 0 ? (
+                    <span className="text-muted small">No ingredients</span>
+                  ) : (
+                    <ListGroup variant="flush" className="mt-2">
+                      {item.ingredients.map((ingredient, index) => (
+                        <ListGroup.Item key={index} className="d-flex justify-content-between align-items-center border-0 px-0 py-1">
+                          <span>{formatIngredient(ingredient)}</span>
+                          <Badge bg="primary">{formatPrice(ingredient.price * ingredient.quantity)}</Badge>
+                        </ListGroup.Item>
+                      ))}
+                    </ListGroup>
+                  )}
+                </div>
+              ))}
+
               <div className="border-top pt-3">
                 <div className="d-flex justify-content-between align-items-center">
                   <h5 className="mb-0"><strong>Total:</strong></h5>
-                  <h5 className="mb-0 text-primary"><strong>€{getOrderTotal(selectedOrder).toFixed(2)}</strong></h5>
+                  <h5 className="mb-0 text-primary"><strong>€{selectedOrder.total.toFixed(2)}</strong></h5>
                 </div>
               </div>
             </>
@@ -262,14 +497,11 @@ function OrderHistory({ user, showMessage }) {
           {selectedOrder && canCancelOrder(selectedOrder) && (
             <Button 
               variant="danger" 
-              onClick={() => {
-                setShowDetails(false);
-                setShowCancelConfirm(true);
-              }}
+              onClick={() => startCancelOrder(selectedOrder)}
               className="rounded-pill"
             >
-              <i className="bi bi-x-circle me-1"></i>
-              Cancel Order
+              <i className={`bi ${user.isTotp ? 'bi-x-circle' : 'bi-shield-lock'} me-1`}></i>
+              {user.isTotp ? 'Cancel Order' : 'Verify 2FA to Cancel'}
             </Button>
           )}
         </Modal.Footer>
@@ -293,8 +525,10 @@ function OrderHistory({ user, showMessage }) {
           {selectedOrder && (
             <div className="bg-light p-3 rounded">
               <strong>Order #{selectedOrder.id}</strong><br/>
-              {selectedOrder.dish_name} ({selectedOrder.size})<br/>
-              Total: €{getOrderTotal(selectedOrder).toFixed(2)}
+              {selectedOrder.items.map(item => (
+                <span key={item.id} className="text-capitalize">{item.dish_name} ({item.size})<br/></span>
+              ))}
+              Total: €{selectedOrder.total.toFixed(2)}
             </div>
           )}
           <p className="mt-3 text-muted small">
@@ -334,4 +568,5 @@ function OrderHistory({ user, showMessage }) {
   );
 }
 
+export { OrderTimeline };
 export default OrderHistory;
@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { Form, Button, Badge, InputGroup, ListGroup, Alert } from 'react-bootstrap';
+import { OrderTimeline } from './OrderHistory';
+import API from '../API';
+
+// Managers look up any order by its number, e.g. when a customer calls about it
+function OrderLookup({ user, onStepUp }) {
+  const [orderId, setOrderId] = useState('');
+  const [order, setOrder] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsLoading(true);
+    setErrorMessage('');
+    setOrder(null);
+    try {
+      setOrder(await API.getOrder(orderId));
+    } catch (error) {
+      setErrorMessage(error.error || 'Error loading the order');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!user.isTotp) {
+    return (
+      <div className="text-center py-5">
+        <i className="bi bi-shield-lock display-4 text-primary"></i>
+        <h5 className="mt-3 fw-bold">Looking up orders requires 2FA</h5>
+        <Button onClick={() => onStepUp()} className="rounded-pill mt-2 border-0 btn-gradient-primary">
+          <i className="bi bi-shield-check me-1"></i>
+          Verify with 2FA
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4">
+      <Form onSubmit={handleSubmit} className="mb-4">
+        <InputGroup>
+          <InputGroup.Text>#</InputGroup.Text>
+          <Form.Control
+            type="number"
+            min={1}
+            value={orderId}
+            onChange={(e) => setOrderId(e.target.value)}
+            placeholder="Order number"
+            required
+            disabled={isLoading}
+          />
+          <Button type="submit" disabled={isLoading} className="border-0 btn-gradient-primary">
+            <i className="bi bi-search me-1"></i>
+            Find
+          </Button>
+        </InputGroup>
+      </Form>
+
+      {errorMessage && (
+        <Alert variant="danger" className="rounded-3">
+          <i className="bi bi-exclamation-triangle-fill me-2"></i>
+          {errorMessage}
+        </Alert>
+      )}
+
+      {order && (
+        <>
+          <div className="d-flex justify-content-between mb-3">
+            <h5 className="fw-bold mb-0">Order #{order.id}</h5>
+            <span className="text-muted">
+              Customer #{order.user_id} • {order.timestamp ? order.timestamp.format('MMMM DD, YYYY HH:mm') : 'N/A'}
+            </span>
+          </div>
+
+          <div className="mb-4">
+            <OrderTimeline order={order} />
+          </div>
+
+          <ListGroup variant="flush" className="mb-3">
+            {order.items.map(item => (
+              <ListGroup.Item key={item.id} className="px-0">
+                <span className="fw-semibold text-capitalize">{item.dish_name} ({item.size})</span>
+                {item.ingredients.length > 0 && (
+                  <div className="small text-muted">
+                    {item.ingredients
+                      .map(ing => ing.quantity > 1 ? `${ing.quantity}× ${ing.name}` : ing.name)
+                      .join(', ')}
+                  </div>
+                )}
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+
+          <div className="d-flex justify-content-between border-top pt-3">
+            <h5 className="mb-0 fw-bold">Total:</h5>
+            <Badge bg="primary" className="fs-6">€{Number(order.total).toFixed(2)}</Badge>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default OrderLookup;
@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react';
+import { Button, Alert } from 'react-bootstrap';
+import API from '../API';
+
+function RecoveryCodes({ user, showMessage }) {
+  // Number of unused codes, null while loading
+  const [remaining, setRemaining] = useState(null);
+  // Codes just generated, shown only until the user leaves the page
+  const [codes, setCodes] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  //----------------------------------------------------------------------------
+  // Load how many recovery codes are left
+  useEffect(() => {
+    let ignore = false;
+    API.getRecoveryCodesStatus()
+      .then(status => { if (!ignore) setRemaining(status.remaining); })
+      .catch(() => { if (!ignore) setRemaining(0); });
+    return () => { ignore = true; };
+  }, [user.id]);
+
+  // Generate new codes, the previous ones stop working
+  const handleGenerate = async () => {
+    setIsLoading(true);
+    try {
+      const result = await API.generateRecoveryCodes();
+      setCodes(result.codes);
+      setRemaining(result.codes.length);
+    } catch (error) {
+      showMessage(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Save the codes as a text file
+  const handleDownload = () => {
+    const text = `Restaurant recovery codes for ${user.username}\n` +
+      'Each code can be used once in place of a TOTP code.\n\n' +
+      codes.join('\n') + '\n';
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'restaurant-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="p-4">
+      <div className="text-center mb-4">
+        <i className="bi bi-life-preserver display-4 text-primary"></i>
+        <h3 className="mt-3 fw-bold text-primary-custom">Recovery Codes</h3>
+        <p className="text-muted">
+          If you lose your authenticator app, each code can be used once in place of a TOTP code.
+        </p>
+      </div>
+
+      {codes ? (
+        <Alert variant="warning" className="rounded-3">
+          <div className="fw-bold mb-2">
+            <i className="bi bi-exclamation-triangle-fill me-2"></i>
+            Save these codes now, they will not be shown again
+          </div>
+          <div className="row g-1 font-monospace mb-3">
+            {codes.map(code => (
+              <div key={code} className="col-6">{code}</div>
+            ))}
+          </div>
+          <Button variant="outline-dark" size="sm" onClick={handleDownload} className="rounded-pill">
+            <i className="bi bi-download me-1"></i>
+            Download
+          </Button>
+        </Alert>
+      ) : remaining !== null && (
+        <p className="text-center">
+          You have <span className="fw-bold">{remaining}</span> unused recovery code{remaining === 1 ? '' : 's'}.
+        </p>
+      )}
+
+      {user.isTotp ? (
+        <div className="d-grid">
+          <Button
+            variant="outline-primary"
+            onClick={handleGenerate}
+            disabled={isLoading}
+            className="rounded-3"
+          >
+            <i className="bi bi-arrow-repeat me-2"></i>
+            {remaining ? 'Generate New Codes (the old ones stop working)' : 'Generate Codes'}
+          </Button>
+        </div>
+      ) : (
+        <p className="text-muted small text-center mb-0">
+          Complete 2FA at login to generate recovery codes.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default RecoveryCodes;
@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { Form, Button, Alert } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+
+function RegisterForm({ onRegister }) {
+  const [username, setUsername] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const navigate = useNavigate();
+
+  // Handle form submission: check the passwords match, then create the account
+  // Server errors (e.g. username taken) are shown by the App in the global message
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (password !== confirmPassword) {
+      setErrorMessage('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    setErrorMessage('');
+    await onRegister({ username, password, email });
+    setIsLoading(false);
+  };
+
+  // Clear error message when user starts typing
+  const handleChange = (setter) => (e) => {
+    setter(e.target.value);
+    if (errorMessage) setErrorMessage('');
+  };
+
+  return (
+    <div className="p-4">
+      <div className="text-center mb-4">
+        <i className="bi bi-person-plus display-4 text-primary"></i>
+        <h3 className="mt-3 fw-bold text-primary-custom">Create an Account</h3>
+        <p className="text-muted">Sign up to make orders, you can enable 2FA right after</p>
+      </div>
+
+      {errorMessage && (
+        <Alert variant="danger" className="mb-3 rounded-3">
+          <i className="bi bi-exclamation-triangle-fill me-2"></i>
+          {errorMessage}
+        </Alert>
+      )}
+
+      <Form onSubmit={handleSubmit}>
+        <Form.Group className="mb-3">
+          <Form.Label className="fw-bold">Username</Form.Label>
+          <Form.Control
+            type="text"
+            value={username}
+            onChange={handleChange(setUsername)}
+            placeholder="Choose a username"
+            minLength={3}
+            maxLength={30}
+            required
+            disabled={isLoading}
+            className="border-0 shadow-sm form-control-light rounded-3"
+          />
+          <Form.Text className="text-muted">
+            3-30 letters, digits, dots, dashes or underscores.
+          </Form.Text>
+        </Form.Group>
+
+        <Form.Group className="mb-3">
+          <Form.Label className="fw-bold">E-mail <span className="text-muted fw-normal">(optional)</span></Form.Label>
+          <Form.Control
+            type="email"
+            value={email}
+            onChange={handleChange(setEmail)}
+            placeholder="you@example.com"
+            disabled={isLoading}
+            className="border-0 shadow-sm form-control-light rounded-3"
+          />
+          <Form.Text className="text-muted">
+            Only used to send you a link if you forget your password.
+          </Form.Text>
+        </Form.Group>
+
+        <Form.Group className="mb-3">
+          <Form.Label className="fw-bold">Password</Form.Label>
+          <Form.Control
+            type="password"
+            value={password}
+            onChange={handleChange(setPassword)}
+            placeholder="At least 8 characters"
+            minLength={8}
+            maxLength={72}
+            required
+            disabled={isLoading}
+            className="border-0 shadow-sm form-control-light rounded-3"
+          />
+          <Form.Text className="text-muted">
+            8-72 characters, with at least one letter and one digit.
+          </Form.Text>
+        </Form.Group>
+
+        <Form.Group className="mb-4">
+          <Form.Label className="fw-bold">Confirm Password</Form.Label>
+          <Form.Control
+            type="password"
+            value={confirmPassword}
+            onChange={handleChange(setConfirmPassword)}
+            placeholder="Repeat your password"
+            required
+            disabled={isLoading}
+            className="border-0 shadow-sm form-control-light rounded-3"
+          />
+        </Form.Group>
+
+        <div className="d-grid gap-2">
+          <Button
+            type="submit"
+            size="lg"
+            disabled={isLoading}
+            className="fw-bold border-0 shadow-sm btn-gradient-primary"
+          >
+            {isLoading ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                Creating account...
+              </>
+            ) : (
+              <>
+                <i className="bi bi-person-plus me-2"></i>
+                Sign Up
+              </>
+            )}
+          </Button>
+
+          <Button
+            variant="link"
+            onClick={() => navigate('/login')}
+            disabled={isLoading}
+            className="text-muted"
+          >
+            Already have an account? Sign in
+          </Button>
+        </div>
+      </Form>
+    </div>
+  );
+}
+
+export default RegisterForm;
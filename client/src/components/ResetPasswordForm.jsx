@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { Form, Button, Alert } from 'react-bootstrap';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import API from '../API';
+
+function ResetPasswordForm({ showMessage }) {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const navigate = useNavigate();
+  // The token comes from the link sent by e-mail (/reset-password?token=...)
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  // Set the new password, then the user logs in again with it
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (password !== confirmPassword) {
+      setErrorMessage('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    setErrorMessage('');
+    try {
+      await API.resetPassword(token, password);
+      showMessage('Password changed! Please sign in with the new password.', 'success');
+      navigate('/login');
+    } catch (error) {
+      showMessage(error);
+      setIsLoading(false);
+    }
+  };
+
+  // Clear error message when user starts typing
+  const handleChange = (setter) => (e) => {
+    setter(e.target.value);
+    if (errorMessage) setErrorMessage('');
+  };
+
+  if (!token) {
+    return (
+      <div className="p-4 text-center">
+        <i className="bi bi-link-45deg display-4 text-danger"></i>
+        <h3 className="mt-3 fw-bold text-primary-custom">Invalid reset link</h3>
+        <p className="text-muted">Open the link exactly as you received it, or ask for a new one.</p>
+        <Button variant="outline-secondary" onClick={() => navigate('/forgot-password')} className="rounded-pill mt-2">
+          Ask for a New Link
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4">
+      <div className="text-center mb-4">
+        <i className="bi bi-key display-4 text-primary"></i>
+        <h3 className="mt-3 fw-bold text-primary-custom">Choose a New Password</h3>
+        <p className="text-muted">You will be logged out everywhere</p>
+      </div>
+
+      {errorMessage && (
+        <Alert variant="danger" className="mb-3 rounded-3">
+          <i className="bi bi-exclamation-triangle-fill me-2"></i>
+          {errorMessage}
+        </Alert>
+      )}
+
+      <Form onSubmit={handleSubmit}>
+        <Form.Group className="mb-3">
+          <Form.Label className="fw-bold">New Password</Form.Label>
+          <Form.Control
+            type="password"
+            value={password}
+            onChange={handleChange(setPassword)}
+            placeholder="At least 8 characters"
+            minLength={8}
+            maxLength={72}
+            required
+            disabled={isLoading}
+            className="border-0 shadow-sm form-control-light rounded-3"
+          />
+          <Form.Text className="text-muted">
+            8-72 characters, with at least one letter and one digit.
+          </Form.Text>
+        </Form.Group>
+
+        <Form.Group className="mb-4">
+          <Form.Label className="fw-bold">Confirm New Password</Form.Label>
+          <Form.Control
+            type="password"
+            value={confirmPassword}
+            onChange={handleChange(setConfirmPassword)}
+            placeholder="Repeat the new password"
+            required
+            disabled={isLoading}
+            className="border-0 shadow-sm form-control-light rounded-3"
+          />
+        </Form.Group>
+
+        <div className="d-grid gap-2">
+          <Button
+            type="submit"
+            size="lg"
+            disabled={isLoading}
+            className="fw-bold border-0 shadow-sm btn-gradient-primary"
+          >
+            {isLoading ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                Saving...
+              </>
+            ) : (
+              <>
+                <i className="bi bi-check-lg me-2"></i>
+                Set New Password
+              </>
+            )}
+          </Button>
+        </div>
+      </Form>
+    </div>
+  );
+}
+
+export default ResetPasswordForm;
@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { Modal, Form, Button, Alert } from 'react-bootstrap';
+import API from '../API';
+
+// Dialog to complete 2FA without logging out, e.g. after skipping it at login
+// On success, onVerified receives the updated user info
+function StepUpModal({ show, onHide, onVerified }) {
+  const [code, setCode] = useState('');
+  // Whether the code is a recovery code instead of a TOTP code
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Start from an empty form every time the dialog closes
+  const handleClose = () => {
+    setCode('');
+    setUseRecoveryCode(false);
+    setErrorMessage('');
+    onHide();
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsLoading(true);
+    setErrorMessage('');
+    try {
+      if (useRecoveryCode) await API.recoveryCodeVerify(code);
+      else await API.totpVerify(code);
+      const user = await API.getUserInfo();
+      setCode('');
+      setUseRecoveryCode(false);
+      onVerified(user);
+    } catch (error) {
+      setErrorMessage(error.retry_after
+        ? `Too many failed attempts. Try again in ${error.retry_after} seconds.`
+        : error.error || 'Verification failed');
+      setCode('');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={handleClose} centered className="modal-high-z">
+      <Modal.Header closeButton className="modal-header-gradient-danger">
+        <Modal.Title>
+          <i className="bi bi-shield-lock me-2"></i>
+          Verify with 2FA
+        </Modal.Title>
+      </Modal.Header>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Body className="p-4">
+          <p className="text-muted">
+            Enter the code shown by your authenticator app to unlock the actions that require 2FA,
+            such as cancelling orders. You stay logged in.
+          </p>
+
+          {errorMessage && (
+            <Alert variant="danger" className="mb-3 rounded-3">
+              <i className="bi bi-exclamation-triangle-fill me-2"></i>
+              {errorMessage}
+            </Alert>
+          )}
+
+          <Form.Group>
+            <Form.Label className="fw-bold">{useRecoveryCode ? 'Recovery Code' : 'TOTP Code'}</Form.Label>
+            <Form.Control
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder={useRecoveryCode ? 'e.g. abcd-efgh-ijkl' : 'Enter 6-digit code'}
+              maxLength={useRecoveryCode ? 20 : 6}
+              required
+              autoFocus
+              disabled={isLoading}
+              className="border-0 shadow-sm text-center form-control-light rounded-3 totp-input"
+            />
+            <Button
+              variant="link"
+              size="sm"
+              onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+              disabled={isLoading}
+              className="text-muted px-0"
+            >
+              {useRecoveryCode ? 'Use a code from the authenticator app' : 'Lost your authenticator? Use a recovery code'}
+            </Button>
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer className="border-0">
+          <Button variant="outline-secondary" onClick={handleClose} disabled={isLoading} className="rounded-pill">
+            Not Now
+          </Button>
+          <Button type="submit" disabled={isLoading} className="rounded-pill border-0 btn-gradient-primary">
+            {isLoading ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                Verifying...
+              </>
+            ) : (
+              <>
+                <i className="bi bi-shield-check me-1"></i>
+                Verify
+              </>
+            )}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+}
+
+export default StepUpModal;
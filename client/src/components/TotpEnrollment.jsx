@@ -0,0 +1,143 @@
+import { useState, useEffect } from 'react';
+import { Form, Button, Alert, Image } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import API from '../API';
+
+function TotpEnrollment({ user, onEnrolled, showMessage }) {
+  // New secret with its otpauth:// URI and QR code, as generated by the server
+  const [enrollment, setEnrollment] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [totpCode, setTotpCode] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const navigate = useNavigate();
+
+  //----------------------------------------------------------------------------
+  // Ask the server for a new secret when the page opens
+  // The secret only becomes active once it is confirmed with a first code
+  // (errors are shown here: the global message would re-render the page and
+  // generate another secret)
+  useEffect(() => {
+    if (user.canDoTotp) return;
+
+    let ignore = false;
+    API.startTotpEnrollment()
+      .then(data => { if (!ignore) setEnrollment(data); })
+      .catch(error => { if (!ignore) setLoadError(error.error || 'Cannot start 2FA enrollment'); });
+    return () => { ignore = true; };
+  }, [user.canDoTotp]);
+
+  // Confirm the enrollment with the code shown by the authenticator app
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsLoading(true);
+    try {
+      const updatedUser = await API.confirmTotpEnrollment(totpCode);
+      onEnrolled(updatedUser);
+      showMessage('2FA enabled! Now generate your recovery codes, in case you lose your authenticator.', 'success');
+      navigate('/account');
+    } catch (error) {
+      showMessage(error);
+      setTotpCode('');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (user.canDoTotp) {
+    return (
+      <div className="p-4 text-center">
+        <i className="bi bi-shield-check display-4 text-success"></i>
+        <h3 className="mt-3 fw-bold text-primary-custom">2FA is already enabled</h3>
+        <Button variant="outline-secondary" onClick={() => navigate('/')} className="rounded-pill mt-3">
+          Back to the Menu
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4">
+      <div className="text-center mb-4">
+        <i className="bi bi-shield-lock display-4 text-primary"></i>
+        <h3 className="mt-3 fw-bold text-primary-custom">Enable Two-Factor Authentication</h3>
+        <p className="text-muted">
+          Scan the QR code with your authenticator app, then enter the code it shows.
+          2FA is optional, but you need it to cancel orders.
+        </p>
+      </div>
+
+      {loadError ? (
+        <Alert variant="danger" className="rounded-3">
+          <i className="bi bi-exclamation-triangle-fill me-2"></i>
+          {loadError}
+        </Alert>
+      ) : !enrollment ? (
+        <div className="text-center py-4">
+          <div className="spinner-border text-primary" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="text-center mb-3">
+            <Image src={enrollment.qr_code} alt="QR code for the authenticator app" className="border rounded-3" />
+          </div>
+          <Alert variant="light" className="small rounded-3">
+            <div className="mb-1">Can't scan it? Enter this secret in your app:</div>
+            <code className="d-block mb-2 text-break">{enrollment.secret}</code>
+            <a href={enrollment.otpauth_uri} className="text-break">{enrollment.otpauth_uri}</a>
+          </Alert>
+
+          <Form onSubmit={handleSubmit}>
+            <Form.Group className="mb-4">
+              <Form.Label className="fw-bold">TOTP Code</Form.Label>
+              <Form.Control
+                type="text"
+                value={totpCode}
+                onChange={(e) => setTotpCode(e.target.value)}
+                placeholder="Enter 6-digit code"
+                maxLength={6}
+                required
+                disabled={isLoading}
+                className="border-0 shadow-sm text-center form-control-light rounded-3 totp-input"
+              />
+            </Form.Group>
+
+            <div className="d-grid gap-2">
+              <Button
+                type="submit"
+                size="lg"
+                disabled={isLoading}
+                className="fw-bold border-0 shadow-sm btn-gradient-primary"
+              >
+                {isLoading ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                    Verifying...
+                  </>
+                ) : (
+                  <>
+                    <i className="bi bi-shield-check me-2"></i>
+                    Enable 2FA
+                  </>
+                )}
+              </Button>
+              <Button
+                variant="outline-secondary"
+                onClick={() => navigate('/')}
+                disabled={isLoading}
+                className="rounded-3"
+              >
+                <i className="bi bi-skip-forward me-2"></i>
+                Not Now
+              </Button>
+            </div>
+          </Form>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TotpEnrollment;
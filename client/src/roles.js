@@ -0,0 +1,6 @@
+// Roles of the users, as sent by the server in the user info:
+// customers make orders, the kitchen staff prepares them and managers can also see every order
+export const STAFF_ROLES = ['kitchen', 'manager'];
+
+export const isStaff = (user) => !!user && STAFF_ROLES.includes(user.role);
+export const isManager = (user) => user?.role === 'manager';
@@ -0,0 +1,95 @@
+const db = require('../db');
+
+//----------------------------------------------------------------------------
+// Get how many seconds are left before the given subjects can try again
+// kind is 'password' or 'totp', subjects are e.g. ['account:simone', 'ip:::1']
+// Resolves 0 when none of them is locked
+exports.getLockout = (kind, subjects) => {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT MAX(CAST(strftime('%s', locked_until) AS INTEGER) - CAST(strftime('%s', 'now') AS INTEGER)) AS seconds
+      FROM login_attempts
+      WHERE kind = ? AND subject IN (${subjects.map(() => '?').join(', ')})
+        AND locked_until > datetime('now')
+    `;
+    db.get(sql, [kind, ...subjects], (err, row) => {
+      if (err) reject(err);
+      else resolve(Math.max(row.seconds || 0, 0));
+    });
+  });
+};
+
+//----------------------------------------------------------------------------
+// Count a failed attempt for each subject and lock the ones over their limit
+// limits is [{ subject, freeAttempts, baseDelaySeconds, maxDelaySeconds }]: after
+// freeAttempts failures, each failure locks the subject twice as long as the previous
+// one (up to maxDelaySeconds). Failures older than forgetAfterSeconds start over.
+// Resolves the longest lockout in seconds (0 when no subject got locked)
+exports.recordFailure = (kind, limits, forgetAfterSeconds) => {
+  return db.runInTransaction(async () => {
+    let lockout = 0;
+
+    for (const limit of limits) {
+      const failures = await new Promise((resolve, reject) => {
+        const sql = `
+          SELECT failures FROM login_attempts
+          WHERE kind = ? AND subject = ? AND last_failure_at > datetime('now', ?)
+        `;
+        db.get(sql, [kind, limit.subject, `-${forgetAfterSeconds} seconds`], (err, row) => {
+          if (err) reject(err);
+          else resolve((row ? row.failures : 0) + 1);
+        });
+      });
+
+      const extraFailures = failures - limit.freeAttempts;
+      const delay = extraFailures > 0
+        ? Math.min(limit.baseDelaySeconds * 2 ** (extraFailures - 1), limit.maxDelaySeconds)
+        : 0;
+
+      await new Promise((resolve, reject) => {
+        const sql = `
+          INSERT INTO login_attempts (kind, subject, failures, last_failure_at, locked_until)
+          VALUES (?, ?, ?, datetime('now'), CASE WHEN ? > 0 THEN datetime('now', ?) END)
+          ON CONFLICT (kind, subject) DO UPDATE SET
+            failures = excluded.failures,
+            last_failure_at = excluded.last_failure_at,
+            locked_until = excluded.locked_until
+        `;
+        db.run(sql, [kind, limit.subject, failures, delay, `+${delay} seconds`], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+      lockout = Math.max(lockout, delay);
+    }
+
+    return lockout;
+  });
+};
+
+//----------------------------------------------------------------------------
+// Forget the failed attempts of a subject (e.g. of an account after a successful login)
+exports.clearFailures = (kind, subject) => {
+  return db.runInTransaction(() => new Promise((resolve, reject) => {
+    db.run('DELETE FROM login_attempts WHERE kind = ? AND subject = ?', [kind, subject], (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  }));
+};
+
+//----------------------------------------------------------------------------
+// Delete the counters that are not locked and whose last failure is too old to matter
+exports.deleteStaleAttempts = (forgetAfterSeconds) => {
+  return db.runInTransaction(() => new Promise((resolve, reject) => {
+    const sql = `
+      DELETE FROM login_attempts
+      WHERE last_failure_at <= datetime('now', ?)
+        AND (locked_until IS NULL OR locked_until <= datetime('now'))
+    `;
+    db.run(sql, [`-${forgetAfterSeconds} seconds`], function(err) {
+      if (err) reject(err);
+      else resolve(this.changes);
+    });
+  }));
+};
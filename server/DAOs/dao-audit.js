@@ -0,0 +1,88 @@
+const db = require('../db');
+
+// Entries are only ever added: the triggers of audit_log reject UPDATE and DELETE
+
+//----------------------------------------------------------------------------
+// Add an entry to the audit log, as part of the transaction already open
+// (so the entry is rolled back together with the change it describes)
+// entry is { action, actor: { id, username, ip }, entityType, entityId, before, after }
+// before and after are stored as JSON, null when they do not apply
+exports.addEntry = (entry) => {
+  return new Promise((resolve, reject) => {
+    const actor = entry.actor || {};
+    const sql = `
+      INSERT INTO audit_log (action, actor_id, actor_name, ip, entity_type, entity_id, before, after)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const params = [
+      entry.action,
+      actor.id ?? null,
+      actor.username ?? null,
+      actor.ip ?? null,
+      entry.entityType ?? null,
+      entry.entityId ?? null,
+      entry.before == null ? null : JSON.stringify(entry.before),
+      entry.after == null ? null : JSON.stringify(entry.after)
+    ];
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve(this.lastID);
+    });
+  });
+};
+
+//----------------------------------------------------------------------------
+// Add an entry in a transaction of its own, for events that write nothing else (e.g. logins)
+exports.logEvent = (entry) => {
+  return db.runInTransaction(() => exports.addEntry(entry));
+};
+
+//----------------------------------------------------------------------------
+// Get the entries matching the given filters, newest first
+// filters is { actor, entityType, entityId, from, to, limit }, every one optional:
+// actor is a username, from and to are ISO 8601 dates (to excluded)
+exports.getEntries = (filters) => {
+  return new Promise((resolve, reject) => {
+    const conditions = [];
+    const params = [];
+    if (filters.actor !== undefined) {
+      conditions.push('actor_name = ?');
+      params.push(filters.actor);
+    }
+    if (filters.entityType !== undefined) {
+      conditions.push('entity_type = ?');
+      params.push(filters.entityType);
+    }
+    if (filters.entityId !== undefined) {
+      conditions.push('entity_id = ?');
+      params.push(filters.entityId);
+    }
+    if (filters.from !== undefined) {
+      conditions.push('created_at >= datetime(?)');
+      params.push(filters.from);
+    }
+    if (filters.to !== undefined) {
+      conditions.push('created_at < datetime(?)');
+      params.push(filters.to);
+    }
+
+    const sql = `
+      SELECT id, created_at, action, actor_id, actor_name, ip, entity_type, entity_id, before, after
+      FROM audit_log
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `;
+    db.all(sql, [...params, filters.limit], (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows.map(row => ({
+        ...row,
+        before: row.before === null ? null : JSON.parse(row.before),
+        after: row.after === null ? null : JSON.parse(row.after)
+      })));
+    });
+  });
+};
@@ -1,19 +1,51 @@
 const db = require('../db');
+const menuCache = require('../menu-cache');
+const AuditDAO = require('./dao-audit');
 
 //----------------------------------------------------------------------------
-// Get all dishes
+// Helper to run a write as a transaction: every write changes the menu, so the
+// menu cache is invalidated once the transaction is over
+function runInTransaction(work) {
+  return menuCache.invalidateAfter(db.runInTransaction(work));
+}
+
+//----------------------------------------------------------------------------
+// Get all dishes, each with its available sizes (price and ingredient limit)
+// Retired dishes are left out
 exports.getAllDishes = () => {
   return new Promise((resolve, reject) => {
-    const sql = 'SELECT id, name FROM dishes ORDER BY id';
-    db.all(sql, [], (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
+    const sql = 'SELECT id, name FROM dishes WHERE retired_at IS NULL ORDER BY id';
+    db.all(sql, [], (err, dishes) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const sizesSql = `
+        SELECT dish_id, size, price, max_ingredients
+        FROM dish_sizes
+        ORDER BY dish_id, price
+      `;
+      db.all(sizesSql, [], (err, sizeRows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        // Attach the sizes to the dish they belong to
+        for (const dish of dishes) {
+          dish.sizes = sizeRows
+            .filter(row => row.dish_id === dish.id)
+            .map(row => ({ size: row.size, price: row.price, max_ingredients: row.max_ingredients }));
+        }
+        resolve(dishes);
+      });
     });
   });
 };
 
 //----------------------------------------------------------------------------
-// Get dish by ID
+// Get dish by ID (retired ones too, with their retired_at)
 exports.getDishById = (dishId) => {
   return new Promise((resolve, reject) => {
     const sql = 'SELECT * FROM dishes WHERE id = ?';
@@ -24,3 +56,140 @@ exports.getDishById = (dishId) => {
     });
   });
 };
+
+//----------------------------------------------------------------------------
+// Create a new dish (without sizes)
+exports.createDish = (name) => {
+  return runInTransaction(() => new Promise((resolve, reject) => {
+    db.run('INSERT INTO dishes (name) VALUES (?)', [name], function(err) {
+      if (err) reject(err);
+      else resolve(this.lastID);
+    });
+  }));
+};
+
+//----------------------------------------------------------------------------
+// Rename a dish, resolves false if the dish does not exist
+exports.updateDish = (dishId, name) => {
+  return runInTransaction(() => new Promise((resolve, reject) => {
+    db.run('UPDATE dishes SET name = ? WHERE id = ?', [name, dishId], function(err) {
+      if (err) reject(err);
+      else resolve(this.changes > 0);
+    });
+  }));
+};
+
+//----------------------------------------------------------------------------
+// Delete a dish and its sizes
+// Resolves false if the dish appears in some order (order history must stay intact):
+// such a dish can only be retired
+exports.deleteDish = (dishId) => {
+  return runInTransaction(() => new Promise((resolve, reject) => {
+    db.get('SELECT COUNT(*) as count FROM order_items WHERE dish_id = ?', [dishId], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      if (row.count > 0) {
+        resolve(false);
+        return;
+      }
+
+      db.run('DELETE FROM dish_sizes WHERE dish_id = ?', [dishId], (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        db.run('DELETE FROM dishes WHERE id = ?', [dishId], (err) => {
+          if (err) reject(err);
+          else resolve(true);
+        });
+      });
+    });
+  }));
+};
+
+//----------------------------------------------------------------------------
+// Retire a dish: it leaves the menu, while past orders keep showing it (its sizes are
+// kept for when it is restored). Written to the audit log (dish.retired) on behalf of actor
+// Resolves false if it does not exist or is already retired
+exports.retireDish = (dishId, actor) => {
+  return runInTransaction(async () => {
+    const row = await new Promise((resolve, reject) => {
+      const sql = `UPDATE dishes SET retired_at = datetime('now') WHERE id = ? AND retired_at IS NULL RETURNING retired_at`;
+      db.get(sql, [dishId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    if (!row) return false;
+
+    await AuditDAO.addEntry({
+      action: 'dish.retired',
+      actor,
+      entityType: 'dish',
+      entityId: dishId,
+      before: { retired_at: null },
+      after: { retired_at: row.retired_at }
+    });
+    return true;
+  });
+};
+
+//----------------------------------------------------------------------------
+// Put a retired dish back on the menu, written to the audit log (dish.reinstated)
+// Resolves false if it does not exist or is not retired
+exports.restoreDish = (dishId, actor) => {
+  return runInTransaction(async () => {
+    const row = await new Promise((resolve, reject) => {
+      db.get('SELECT retired_at FROM dishes WHERE id = ? AND retired_at IS NOT NULL', [dishId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    if (!row) return false;
+
+    await new Promise((resolve, reject) => {
+      db.run('UPDATE dishes SET retired_at = NULL WHERE id = ?', [dishId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+    await AuditDAO.addEntry({
+      action: 'dish.reinstated',
+      actor,
+      entityType: 'dish',
+      entityId: dishId,
+      before: { retired_at: row.retired_at },
+      after: { retired_at: null }
+    });
+    return true;
+  });
+};
+
+//----------------------------------------------------------------------------
+// Add a size to a dish, or update its price and ingredient limit if it exists
+exports.saveDishSize = (dishId, size, price, maxIngredients) => {
+  return runInTransaction(() => new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO dish_sizes (dish_id, size, price, max_ingredients) VALUES (?, ?, ?, ?)
+      ON CONFLICT (dish_id, size) DO UPDATE SET price = excluded.price, max_ingredients = excluded.max_ingredients
+    `;
+    db.run(sql, [dishId, size, price, maxIngredients], (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  }));
+};
+
+//----------------------------------------------------------------------------
+// Remove a size from a dish, resolves false if the dish does not have it
+// Past orders keep the size name, so they are not affected
+exports.deleteDishSize = (dishId, size) => {
+  return runInTransaction(() => new Promise((resolve, reject) => {
+    db.run('DELETE FROM dish_sizes WHERE dish_id = ? AND size = ?', [dishId, size], function(err) {
+      if (err) reject(err);
+      else resolve(this.changes > 0);
+    });
+  }));
+};
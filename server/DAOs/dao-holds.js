@@ -0,0 +1,107 @@
+const db = require('../db');
+
+// Units of an ingredient held by sessions other than the given one (expired holds do not count)
+// Expects two parameters: the ingredient ID and the session ID
+const RESERVED_BY_OTHERS_SQL = `
+  SELECT COALESCE(SUM(h.quantity), 0) FROM ingredient_holds h
+  WHERE h.ingredient_id = ? AND h.session_id <> ? AND h.expires_at > datetime('now')
+`;
+exports.RESERVED_BY_OTHERS_SQL = RESERVED_BY_OTHERS_SQL;
+
+//----------------------------------------------------------------------------
+// Get every hold that has not expired yet
+exports.getActiveHolds = () => {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT session_id, ingredient_id, quantity, expires_at
+      FROM ingredient_holds
+      WHERE expires_at > datetime('now')
+    `;
+    db.all(sql, [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+//----------------------------------------------------------------------------
+// Replace the holds of a session with the given ones ([{ id, quantity }, ...])
+// and make them last durationSeconds from now
+// Unlimited and retired ingredients are never held. An ingredient whose free units (on hand
+// minus what other sessions hold) are fewer than requested is not held at all.
+// Resolves { holds: [{ ingredient_id, quantity }], expires_at, rejected: [{ id, name, requested, free }] }
+exports.saveHolds = (sessionId, requested, durationSeconds) => {
+  return db.runInTransaction(async () => {
+    await clearHolds(sessionId);
+
+    const expiresAt = await new Promise((resolve, reject) => {
+      db.get(`SELECT datetime('now', ?) as expires_at`, [`+${durationSeconds} seconds`], (err, row) => {
+        if (err) reject(err);
+        else resolve(row.expires_at);
+      });
+    });
+
+    const holds = [];
+    const rejected = [];
+    for (const { id, quantity } of requested) {
+      const ingredient = await new Promise((resolve, reject) => {
+        const sql = `
+          SELECT name, availability, (${RESERVED_BY_OTHERS_SQL}) as reserved
+          FROM ingredients WHERE id = ? AND retired_at IS NULL
+        `;
+        db.get(sql, [id, sessionId, id], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+      if (!ingredient || ingredient.availability === null) continue;
+
+      const free = ingredient.availability - ingredient.reserved;
+      if (free < quantity) {
+        rejected.push({ id, name: ingredient.name, requested: quantity, free: Math.max(free, 0) });
+        continue;
+      }
+
+      await new Promise((resolve, reject) => {
+        const sql = 'INSERT INTO ingredient_holds (session_id, ingredient_id, quantity, expires_at) VALUES (?, ?, ?, ?)';
+        db.run(sql, [sessionId, id, quantity, expiresAt], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+      holds.push({ ingredient_id: id, quantity });
+    }
+
+    return { holds, expires_at: expiresAt, rejected };
+  });
+};
+
+//----------------------------------------------------------------------------
+// Release every hold of a session (deselection of everything, logout)
+exports.releaseHolds = (sessionId) => {
+  return db.runInTransaction(() => clearHolds(sessionId));
+};
+
+//----------------------------------------------------------------------------
+// Delete the holds that have expired, resolves how many were deleted
+exports.releaseExpiredHolds = () => {
+  return db.runInTransaction(() => new Promise((resolve, reject) => {
+    db.run(`DELETE FROM ingredient_holds WHERE expires_at <= datetime('now')`, [], function(err) {
+      if (err) reject(err);
+      else resolve(this.changes);
+    });
+  }));
+};
+
+//----------------------------------------------------------------------------
+// Delete the holds of a session without opening a transaction
+// (used inside other transactions, e.g. when the held units become an order)
+function clearHolds(sessionId) {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM ingredient_holds WHERE session_id = ?', [sessionId], (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+exports.clearHolds = clearHolds;
@@ -1,11 +1,23 @@
 const db = require('../db');
+const { RESERVED_BY_OTHERS_SQL } = require('./dao-holds');
+const AuditDAO = require('./dao-audit');
+const menuCache = require('../menu-cache');
+
+//----------------------------------------------------------------------------
+// Helper to run a write as a transaction: every write changes the menu, so the
+// menu cache is invalidated once the transaction is over
+function runInTransaction(work) {
+  return menuCache.invalidateAfter(db.runInTransaction(work));
+}
 
 //----------------------------------------------------------------------------
 // Get all ingredients with dependencies and incompatibilities
+// Retired ingredients are left out, and so are the constraints that involve them
 exports.getAllIngredients = () => {
   return new Promise((resolve, reject) => {
     // Get basic ingredient information first
-    db.all('SELECT * FROM ingredients ORDER BY id', (err, ingredients) => {
+    const sql = 'SELECT id, name, price, availability FROM ingredients WHERE retired_at IS NULL ORDER BY id';
+    db.all(sql, (err, ingredients) => {
       if (err) {
         reject(err);
         return;
@@ -16,6 +28,7 @@ exports.getAllIngredients = () => {
         SELECT d.dependent_ingredient_id, i.name as required_name 
         FROM ingredient_dependencies d 
         JOIN ingredients i ON d.required_ingredient_id = i.id
+        WHERE i.retired_at IS NULL
       `, (err, depRows) => {
         if (err) {
           reject(err);
@@ -27,6 +40,7 @@ exports.getAllIngredients = () => {
           SELECT inc.ingredient_id, i.name as incompatible_name 
           FROM ingredient_incompatibilities inc 
           JOIN ingredients i ON inc.incompatible_ingredient_id = i.id
+          WHERE i.retired_at IS NULL
         `, (err, incRows) => {
           if (err) {
             reject(err);
@@ -55,68 +69,83 @@ exports.getAllIngredients = () => {
 
 //----------------------------------------------------------------------------
 // Update ingredient availability when an order is placed
-exports.updateIngredientAvailability = (ingredientId, quantityUsed) => {
+// The check and the decrement are a single statement, so two orders can never
+// both take the last unit. Units held by other sessions cannot be taken, the ones
+// held by sessionId can. Resolves false when there is not enough stock.
+// Every change is written to the audit log with the actor and the order (audit is
+// { actor, orderId }), so it must run inside the transaction placing the order
+exports.updateIngredientAvailability = (ingredientId, quantityUsed, sessionId, audit) => {
   return new Promise((resolve, reject) => {
-    // Check current availability for ingredients with limited stock
-    db.get('SELECT availability FROM ingredients WHERE id = ?', [ingredientId], (err, ingredient) => {
+    const sql = `
+      UPDATE ingredients SET availability = availability - ?
+      WHERE id = ? AND availability IS NOT NULL
+        AND availability - (${RESERVED_BY_OTHERS_SQL}) >= ?
+      RETURNING availability
+    `;
+    db.get(sql, [quantityUsed, ingredientId, ingredientId, sessionId, quantityUsed], (err, row) => {
       if (err) {
         reject(err);
         return;
       }
-      
-      if (ingredient && ingredient.availability !== null) {
-        // Ensure sufficient availability before updating
-        if (ingredient.availability < quantityUsed) {
-          resolve(false); // Not enough stock available
-          return;
-        }
-        // Reduce availability by the amount used
-        const newAvailability = ingredient.availability - quantityUsed;
-        db.run('UPDATE ingredients SET availability = ? WHERE id = ?', [newAvailability, ingredientId], (err) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          resolve(true);
-        });
-      } else {
-        // Return true for unlimited ingredients or successful updates
-        resolve(true);
+
+      if (row) {
+        recordAvailabilityChange('ingredient.consumed', ingredientId, row.availability + quantityUsed, row.availability, audit)
+          .then(() => resolve(true), reject);
+        return;
       }
+
+      // Nothing updated: either the ingredient is unlimited or stock is short
+      db.get('SELECT availability FROM ingredients WHERE id = ?', [ingredientId], (err, ingredient) => {
+        if (err) reject(err);
+        else resolve(!!ingredient && ingredient.availability === null);
+      });
     });
   });
 };
 
 //----------------------------------------------------------------------------
 // Restore ingredient availability when an order is cancelled
-exports.restoreIngredientAvailability = (ingredientId, quantityToRestore) => {
+// Like updateIngredientAvailability, the change is written to the audit log
+exports.restoreIngredientAvailability = (ingredientId, quantityToRestore, audit) => {
   return new Promise((resolve, reject) => {
     // Only restore stock for ingredients with limited availability
-    db.get('SELECT availability FROM ingredients WHERE id = ?', [ingredientId], (err, ingredient) => {
+    const sql = `
+      UPDATE ingredients SET availability = availability + ?
+      WHERE id = ? AND availability IS NOT NULL
+      RETURNING availability
+    `;
+    db.get(sql, [quantityToRestore, ingredientId], (err, row) => {
       if (err) {
         reject(err);
         return;
       }
-      
-      if (ingredient && ingredient.availability !== null) {
-        // Add the quantity back to available stock
-        const newAvailability = ingredient.availability + quantityToRestore;
-        db.run('UPDATE ingredients SET availability = ? WHERE id = ?', [newAvailability, ingredientId], (err) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          resolve();
-        });
-      } else {
-        resolve(); // No action needed for unlimited ingredients
+
+      if (!row) {
+        resolve();
+        return;
       }
+
+      recordAvailabilityChange('ingredient.restored', ingredientId, row.availability - quantityToRestore, row.availability, audit)
+        .then(() => resolve(), reject);
     });
   });
 };
 
 //----------------------------------------------------------------------------
-// Get ingredient by ID
+// Helper to write a stock change of an order to the audit log
+function recordAvailabilityChange(action, ingredientId, before, after, audit) {
+  return AuditDAO.addEntry({
+    action,
+    actor: audit.actor,
+    entityType: 'ingredient',
+    entityId: ingredientId,
+    before: { availability: before },
+    after: { availability: after, order_id: audit.orderId }
+  });
+}
+
+//----------------------------------------------------------------------------
+// Get ingredient by ID (retired ones too, with their retired_at)
 exports.getIngredientById = (id) => {
   return new Promise((resolve, reject) => {
     db.get('SELECT * FROM ingredients WHERE id = ?', [id], (err, row) => {
@@ -128,3 +157,271 @@ exports.getIngredientById = (id) => {
 };
 
 
+//----------------------------------------------------------------------------
+// Helper to get the audited fields of an ingredient (undefined if it does not exist)
+function getAuditedFields(ingredientId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT name, price, availability FROM ingredients WHERE id = ?', [ingredientId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+//----------------------------------------------------------------------------
+// Create a new ingredient (availability null means unlimited)
+// Staff changes to ingredients are written to the audit log on behalf of actor,
+// in the same transaction as the change
+exports.createIngredient = (name, price, availability, actor) => {
+  return runInTransaction(async () => {
+    const ingredientId = await new Promise((resolve, reject) => {
+      const sql = 'INSERT INTO ingredients (name, price, availability) VALUES (?, ?, ?)';
+      db.run(sql, [name, price, availability], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+    await AuditDAO.addEntry({
+      action: 'ingredient.created',
+      actor,
+      entityType: 'ingredient',
+      entityId: ingredientId,
+      after: { name, price, availability }
+    });
+    return ingredientId;
+  });
+};
+
+//----------------------------------------------------------------------------
+// Update name, price and availability of an ingredient (audited like createIngredient)
+// Resolves false if the ingredient does not exist
+exports.updateIngredient = (ingredientId, name, price, availability, actor) => {
+  return runInTransaction(async () => {
+    const before = await getAuditedFields(ingredientId);
+    if (!before) return false;
+
+    await new Promise((resolve, reject) => {
+      const sql = 'UPDATE ingredients SET name = ?, price = ?, availability = ? WHERE id = ?';
+      db.run(sql, [name, price, availability, ingredientId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+    await AuditDAO.addEntry({
+      action: 'ingredient.updated',
+      actor,
+      entityType: 'ingredient',
+      entityId: ingredientId,
+      before,
+      after: { name, price, availability }
+    });
+    return true;
+  });
+};
+
+//----------------------------------------------------------------------------
+// Delete an ingredient together with its dependencies, incompatibilities and holds
+// (audited like createIngredient)
+// Resolves false if the ingredient appears in some order (order history must stay intact):
+// such an ingredient can only be retired
+exports.deleteIngredient = (ingredientId, actor) => {
+  return runInTransaction(async () => {
+    const before = await getAuditedFields(ingredientId);
+    const deleted = await deleteIngredientRows(ingredientId);
+    if (deleted) {
+      await AuditDAO.addEntry({ action: 'ingredient.deleted', actor, entityType: 'ingredient', entityId: ingredientId, before });
+    }
+    return deleted;
+  });
+};
+
+//----------------------------------------------------------------------------
+// Helper to delete an ingredient and what refers to it, unless some order contains it
+function deleteIngredientRows(ingredientId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT COUNT(*) as count FROM order_ingredients WHERE ingredient_id = ?', [ingredientId], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      if (row.count > 0) {
+        resolve(false);
+        return;
+      }
+
+      const dependenciesSql = 'DELETE FROM ingredient_dependencies WHERE dependent_ingredient_id = ? OR required_ingredient_id = ?';
+      db.run(dependenciesSql, [ingredientId, ingredientId], (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        const incompatibilitiesSql = 'DELETE FROM ingredient_incompatibilities WHERE ingredient_id = ? OR incompatible_ingredient_id = ?';
+        db.run(incompatibilitiesSql, [ingredientId, ingredientId], (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          db.run('DELETE FROM ingredient_holds WHERE ingredient_id = ?', [ingredientId], (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            db.run('DELETE FROM ingredients WHERE id = ?', [ingredientId], (err) => {
+              if (err) reject(err);
+              else resolve(true);
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+//----------------------------------------------------------------------------
+// Retire an ingredient: it leaves the menu and its holds are released, while past orders
+// keep showing it. Its constraints are kept but ignored until it is restored.
+// Written to the audit log (ingredient.retired) on behalf of actor
+// Resolves false if it does not exist or is already retired
+exports.retireIngredient = (ingredientId, actor) => {
+  return runInTransaction(async () => {
+    const row = await new Promise((resolve, reject) => {
+      const sql = `UPDATE ingredients SET retired_at = datetime('now') WHERE id = ? AND retired_at IS NULL RETURNING retired_at`;
+      db.get(sql, [ingredientId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    if (!row) return false;
+
+    await new Promise((resolve, reject) => {
+      db.run('DELETE FROM ingredient_holds WHERE ingredient_id = ?', [ingredientId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+    await AuditDAO.addEntry({
+      action: 'ingredient.retired',
+      actor,
+      entityType: 'ingredient',
+      entityId: ingredientId,
+      before: { retired_at: null },
+      after: { retired_at: row.retired_at }
+    });
+    return true;
+  });
+};
+
+//----------------------------------------------------------------------------
+// Put a retired ingredient back on the menu, with its constraints
+// Written to the audit log (ingredient.reinstated: ingredient.restored is for stock)
+// Resolves false if it does not exist or is not retired
+exports.restoreIngredient = (ingredientId, actor) => {
+  return runInTransaction(async () => {
+    const row = await new Promise((resolve, reject) => {
+      db.get('SELECT retired_at FROM ingredients WHERE id = ? AND retired_at IS NOT NULL', [ingredientId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    if (!row) return false;
+
+    await new Promise((resolve, reject) => {
+      db.run('UPDATE ingredients SET retired_at = NULL WHERE id = ?', [ingredientId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+    await AuditDAO.addEntry({
+      action: 'ingredient.reinstated',
+      actor,
+      entityType: 'ingredient',
+      entityId: ingredientId,
+      before: { retired_at: row.retired_at },
+      after: { retired_at: null }
+    });
+    return true;
+  });
+};
+
+//----------------------------------------------------------------------------
+// Helper to run a constraint change, then write it to the audit log if it changed anything
+// change(resolve, reject) runs the statement and resolves whether a row changed;
+// the entry is logged under ingredientId, with details (e.g. { required_id }) as after
+function changeConstraint(action, ingredientId, details, actor, change) {
+  return runInTransaction(async () => {
+    const changed = await new Promise(change);
+    if (changed) {
+      await AuditDAO.addEntry({ action, actor, entityType: 'ingredient', entityId: ingredientId, after: details });
+    }
+    return changed;
+  });
+}
+
+//----------------------------------------------------------------------------
+// Add a dependency: ingredientId requires requiredId (audited on behalf of actor)
+// Resolves false if the dependency already exists
+exports.addDependency = (ingredientId, requiredId, actor) => {
+  return changeConstraint('ingredient.dependency_added', ingredientId, { required_id: requiredId }, actor, (resolve, reject) => {
+    const sql = `
+      INSERT OR IGNORE INTO ingredient_dependencies (dependent_ingredient_id, required_ingredient_id)
+      VALUES (?, ?)
+    `;
+    db.run(sql, [ingredientId, requiredId], function(err) {
+      if (err) reject(err);
+      else resolve(this.changes > 0);
+    });
+  });
+};
+
+//----------------------------------------------------------------------------
+// Remove a dependency (audited on behalf of actor), resolves false if it does not exist
+exports.removeDependency = (ingredientId, requiredId, actor) => {
+  return changeConstraint('ingredient.dependency_removed', ingredientId, { required_id: requiredId }, actor, (resolve, reject) => {
+    const sql = 'DELETE FROM ingredient_dependencies WHERE dependent_ingredient_id = ? AND required_ingredient_id = ?';
+    db.run(sql, [ingredientId, requiredId], function(err) {
+      if (err) reject(err);
+      else resolve(this.changes > 0);
+    });
+  });
+};
+
+//----------------------------------------------------------------------------
+// Add an incompatibility between two ingredients (audited on behalf of actor)
+// Incompatibilities go both ways, so it resolves false if it already exists in either direction
+exports.addIncompatibility = (ingredientId, incompatibleId, actor) => {
+  const details = { incompatible_id: incompatibleId };
+  return changeConstraint('ingredient.incompatibility_added', ingredientId, details, actor, (resolve, reject) => {
+    const sql = `
+      INSERT INTO ingredient_incompatibilities (ingredient_id, incompatible_ingredient_id)
+      SELECT ?, ?
+      WHERE NOT EXISTS (
+        SELECT 1 FROM ingredient_incompatibilities
+        WHERE (ingredient_id = ? AND incompatible_ingredient_id = ?)
+           OR (ingredient_id = ? AND incompatible_ingredient_id = ?)
+      )
+    `;
+    const params = [ingredientId, incompatibleId, ingredientId, incompatibleId, incompatibleId, ingredientId];
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve(this.changes > 0);
+    });
+  });
+};
+
+//----------------------------------------------------------------------------
+// Remove an incompatibility (in whichever direction it is stored, audited on behalf of actor)
+// Resolves false if it does not exist
+exports.removeIncompatibility = (ingredientId, incompatibleId, actor) => {
+  const details = { incompatible_id: incompatibleId };
+  return changeConstraint('ingredient.incompatibility_removed', ingredientId, details, actor, (resolve, reject) => {
+    const sql = `
+      DELETE FROM ingredient_incompatibilities
+      WHERE (ingredient_id = ? AND incompatible_ingredient_id = ?)
+         OR (ingredient_id = ? AND incompatible_ingredient_id = ?)
+    `;
+    db.run(sql, [ingredientId, incompatibleId, incompatibleId, ingredientId], function(err) {
+      if (err) reject(err);
+      else resolve(this.changes > 0);
+    });
+  });
+};
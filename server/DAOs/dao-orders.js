@@ -1,157 +1,346 @@
 const db = require('../db');
 const IngredientsDAO = require('./dao-ingredients');
+const HoldsDAO = require('./dao-holds');
+const AuditDAO = require('./dao-audit');
+const menuCache = require('../menu-cache');
+const prices = require('../prices');
 
 //----------------------------------------------------------------------------
-// Get all orders for a specific user with ingredients
-exports.getOrdersByUser = (userId) => {
+// Orders of a user can be sorted by date or total, newest/highest first by default
+// Ties are broken by order ID, so that every order has a unique place in the list
+const ORDER_SORTS = {
+  date_desc: { column: 'o.date', field: 'date', direction: 'DESC' },
+  date_asc: { column: 'o.date', field: 'date', direction: 'ASC' },
+  total_desc: { column: 'o.total', field: 'total', direction: 'DESC' },
+  total_asc: { column: 'o.total', field: 'total', direction: 'ASC' }
+};
+exports.ORDER_SORTS = Object.keys(ORDER_SORTS);
+
+//----------------------------------------------------------------------------
+// Get one page of the orders of a user, with their dishes and ingredients
+// options is { statuses, dishId, size, from, to, sort, after, limit }, all optional but limit:
+// - statuses: only orders in one of these statuses
+// - dishId, size: only orders with a dish of that kind and/or size (the same dish for both)
+// - from, to: only orders placed in this time range (ISO 8601 dates, to excluded)
+// - sort: one of ORDER_SORTS (default date_desc)
+// - after: { value, id } of the last order of the previous page (keyset pagination:
+//   new orders do not shift the following pages)
+// Resolves { orders, hasMore }
+exports.getOrdersByUser = (userId, options) => {
   return new Promise((resolve, reject) => {
+    const sort = ORDER_SORTS[options.sort || 'date_desc'];
+    const conditions = ['o.user_id = ?'];
+    const params = [userId];
+
+    if (options.statuses) {
+      conditions.push(`o.status IN (${options.statuses.map(() => '?').join(', ')})`);
+      params.push(...options.statuses);
+    }
+    if (options.dishId !== undefined || options.size !== undefined) {
+      const itemConditions = ['it.order_id = o.id'];
+      if (options.dishId !== undefined) {
+        itemConditions.push('it.dish_id = ?');
+        params.push(options.dishId);
+      }
+      if (options.size !== undefined) {
+        itemConditions.push('it.size = ?');
+        params.push(options.size);
+      }
+      conditions.push(`EXISTS (SELECT 1 FROM order_items it WHERE ${itemConditions.join(' AND ')})`);
+    }
+    if (options.from !== undefined) {
+      conditions.push('o.date >= datetime(?)');
+      params.push(options.from);
+    }
+    if (options.to !== undefined) {
+      conditions.push('o.date < datetime(?)');
+      params.push(options.to);
+    }
+    if (options.after) {
+      const comparison = sort.direction === 'DESC' ? '<' : '>';
+      conditions.push(`(${sort.column} ${comparison} ? OR (${sort.column} = ? AND o.id ${comparison} ?))`);
+      params.push(options.after.value, options.after.value, options.after.id);
+    }
+
+    // One more order than asked tells whether there is a next page
     const sql = `
-      SELECT o.id, o.dish_id, d.name as dish_name, o.size, o.total, o.date, o.status
-      FROM orders o 
-      JOIN dishes d ON o.dish_id = d.id
-      WHERE o.user_id = ? 
-      ORDER BY o.date DESC
+      SELECT o.id, o.total, o.date, o.status
+      FROM orders o
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${sort.column} ${sort.direction}, o.id ${sort.direction}
+      LIMIT ?
     `;
-    
-    db.all(sql, [userId], (err, orders) => {
+
+    db.all(sql, [...params, options.limit + 1], (err, orders) => {
       if (err) {
         reject(err);
         return;
       }
-      
-      if (orders.length === 0) {
-        resolve([]);
-        return;
-      }
-      
-      // Get ingredients for each order using callback-based approach
-      let completed = 0;
-      const ordersWithIngredients = new Array(orders.length);
-      
-      orders.forEach((order, index) => {
-        getOrderIngredients(order.id, (err, ingredients) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          
-          ordersWithIngredients[index] = {
-            ...order,
-            ingredients: ingredients,
-            timestamp: order.date // Frontend compatibility
-          };
-          completed++;
-          
-          if (completed === orders.length) {
-            resolve(ordersWithIngredients);
-          }
-        });
-      });
+
+      const hasMore = orders.length > options.limit;
+      addOrderDetails(orders.slice(0, options.limit))
+        .then(page => resolve({ orders: page, hasMore }), reject);
     });
   });
-}
+};
+
+//----------------------------------------------------------------------------
+// Get the value an order is sorted by (for the cursor of the next page)
+exports.getSortValue = (order, sort) => {
+  return order[ORDER_SORTS[sort || 'date_desc'].field];
+};
+
+//----------------------------------------------------------------------------
+// Get the orders the kitchen still has to handle (confirmed, preparing or ready),
+// oldest first, with their dishes, ingredients and the username of the customer
+exports.getActiveOrders = () => {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT o.id, o.user_id, u.username, o.total, o.date, o.status
+      FROM orders o
+      JOIN users u ON u.id = o.user_id
+      WHERE o.status IN ('confirmed', 'preparing', 'ready')
+      ORDER BY o.date ASC
+    `;
+
+    db.all(sql, [], (err, orders) => {
+      if (err) reject(err);
+      else addOrderDetails(orders).then(resolve, reject);
+    });
+  });
+};
 
 //----------------------------------------------------------------------------
 // Get order details
 exports.getOrderDetails = (orderId) => {
   return new Promise((resolve, reject) => {
-    const sql = `SELECT o.*, d.name as dish_name FROM orders o JOIN dishes d ON o.dish_id = d.id WHERE o.id = ?`;
-    
+    const sql = `SELECT o.* FROM orders o WHERE o.id = ?`;
+
     db.get(sql, [orderId], (err, order) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      
-      if (!order) {
-        resolve(null);
-        return;
-      }
-      
-      // Get ingredients for this order
-      getOrderIngredients(orderId, (err, ingredients) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        order.ingredients = ingredients;
-        order.timestamp = order.date; // Frontend compatibility
-        resolve(order);
-      });
+      if (err) reject(err);
+      else if (!order) resolve(null);
+      else addOrderDetails([order]).then(([orderWithDetails]) => resolve(orderWithDetails), reject);
     });
   });
 };
 
 //----------------------------------------------------------------------------
-// Helper function to get ingredients for an order (callback-based)
-function getOrderIngredients(orderId, callback) {
-  const sql = `
-    SELECT i.id, i.name, i.price 
-    FROM order_ingredients oi 
-    JOIN ingredients i ON oi.ingredient_id = i.id 
-    WHERE oi.order_id = ?
-  `;
-  
-  db.all(sql, [orderId], callback);
+// Helper to add the dishes (each with its ingredients) and the status history to a list
+// of orders. Whatever the number of orders, it takes one query for the dishes, one for
+// their ingredients and one for the status changes.
+// Names and prices are the ones recorded when the order was placed, not the current ones:
+// each dish has its size_price and its price (size and ingredients, null if the size
+// price is unknown), each ingredient the price of one portion
+function addOrderDetails(orders) {
+  if (orders.length === 0) return Promise.resolve([]);
+
+  const orderIds = orders.map(order => order.id);
+  const placeholders = orderIds.map(() => '?').join(', ');
+  const queryByOrder = (sql) => new Promise((resolve, reject) => {
+    db.all(sql, orderIds, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+
+  return Promise.all([
+    queryByOrder(`
+      SELECT it.order_id, it.id, it.dish_id, it.dish_name, it.size, it.size_price
+      FROM order_items it
+      WHERE it.order_id IN (${placeholders})
+      ORDER BY it.id
+    `),
+    queryByOrder(`
+      SELECT oi.order_item_id, oi.ingredient_id as id, oi.ingredient_name as name, oi.unit_price as price, oi.quantity
+      FROM order_ingredients oi
+      JOIN order_items it ON oi.order_item_id = it.id
+      WHERE it.order_id IN (${placeholders})
+    `),
+    queryByOrder(`
+      SELECT order_id, status, changed_at
+      FROM order_status_changes
+      WHERE order_id IN (${placeholders})
+      ORDER BY changed_at, id
+    `)
+  ]).then(([itemRows, ingredientRows, statusRows]) => {
+    // Group the ingredients under the dish they belong to, and the dishes and
+    // status changes under their order
+    const ingredientsByItem = groupBy(ingredientRows, row => row.order_item_id,
+      row => ({ id: row.id, name: row.name, price: row.price, quantity: row.quantity }));
+    const itemsByOrder = groupBy(itemRows, row => row.order_id, ({ order_id, ...item }) => {
+      const ingredients = ingredientsByItem.get(item.id) || [];
+      const price = item.size_price === null ? null : prices.dishPrice(item.size_price, ingredients);
+      return { ...item, price, ingredients };
+    });
+    const historyByOrder = groupBy(statusRows, row => row.order_id,
+      row => ({ status: row.status, changed_at: row.changed_at }));
+
+    return orders.map(order => ({
+      ...order,
+      items: itemsByOrder.get(order.id) || [],
+      status_history: historyByOrder.get(order.id) || [],
+      timestamp: order.date // Frontend compatibility
+    }));
+  });
+}
+
+//----------------------------------------------------------------------------
+// Helper to group rows in a Map by key(row), each row turned into value(row)
+function groupBy(rows, key, value) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(key(row))) groups.set(key(row), []);
+    groups.get(key(row)).push(value(row));
+  }
+  return groups;
+}
+
+//----------------------------------------------------------------------------
+// Helper function to record a status change of an order
+function recordStatusChange(orderId, status) {
+  return new Promise((resolve, reject) => {
+    const sql = `INSERT INTO order_status_changes (order_id, status, changed_at) VALUES (?, ?, datetime('now'))`;
+    db.run(sql, [orderId, status], (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
 }
 
+// Marker used to roll back an order whose ingredients lack stock
+const OUT_OF_STOCK = Symbol('OUT_OF_STOCK');
+
 //----------------------------------------------------------------------------
-// Create a new order (simplified like Renato's pattern)
-exports.createOrder = (userId, dishId, size, total, ingredientIds) => {
+// Create a new order with one or more dishes
+// Each item is a dish as priced by the quote, { dish_id, dish_name, size, base_price,
+// ingredients: [{ id, name, price, quantity }, ...] }: its names and prices are recorded
+// with the order, which keeps them whatever happens to the menu afterwards
+// The order, its dishes and the stock decrements are a single transaction:
+// resolves { id } when the order is placed, or { exhausted: [ingredientId, ...] }
+// when some ingredients lack stock (nothing is written in that case)
+// Units held by sessionId can be used and its holds are released once the order is placed
+// The order and its stock changes are written to the audit log on behalf of actor
+// Stock is part of the menu: the menu cache is invalidated once the transaction is over
+exports.createOrder = (userId, items, total, sessionId, actor) => {
+  const exhausted = [];
+
+  return menuCache.invalidateAfter(db.runInTransaction(async () => {
+    const orderId = await new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO orders (user_id, total, date, status)
+        VALUES (?, ?, datetime('now'), 'confirmed')
+      `;
+      db.run(sql, [userId, total], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+    await recordStatusChange(orderId, 'confirmed');
+
+    // Insert the dishes one after the other to keep them in cart order
+    await new Promise((resolve, reject) => {
+      insertOrderItems(orderId, items, 0, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    // Take the used units out of stock, remembering every ingredient that runs short
+    for (const { ingredient_id, quantity } of await getOrderIngredientUsage(orderId)) {
+      const updated = await IngredientsDAO.updateIngredientAvailability(ingredient_id, quantity, sessionId, { actor, orderId });
+      if (!updated) exhausted.push(ingredient_id);
+    }
+
+    if (exhausted.length > 0) throw OUT_OF_STOCK;
+
+    await AuditDAO.addEntry({
+      action: 'order.created',
+      actor,
+      entityType: 'order',
+      entityId: orderId,
+      after: { status: 'confirmed', total, dishes: items.length }
+    });
+
+    // The held units are now part of the order
+    await HoldsDAO.clearHolds(sessionId);
+    return { id: orderId };
+  }).catch(err => {
+    if (err === OUT_OF_STOCK) return { exhausted };
+    throw err;
+  }));
+};
+
+//----------------------------------------------------------------------------
+// Helper function to count how many units of each ingredient an order uses
+function getOrderIngredientUsage(orderId) {
   return new Promise((resolve, reject) => {
-    // Insert order first
     const sql = `
-      INSERT INTO orders (user_id, dish_id, size, total, date, status)
-      VALUES (?, ?, ?, ?, datetime('now'), 'confirmed')
+      SELECT oi.ingredient_id, SUM(oi.quantity) as quantity
+      FROM order_ingredients oi
+      JOIN order_items it ON oi.order_item_id = it.id
+      WHERE it.order_id = ?
+      GROUP BY oi.ingredient_id
     `;
-    
-    db.run(sql, [userId, dishId, size, total], function(err) {
+    db.all(sql, [orderId], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+//----------------------------------------------------------------------------
+// Helper function to insert the dishes of an order starting from index (callback-based)
+function insertOrderItems(orderId, items, index, callback) {
+  if (index >= items.length) {
+    callback(null);
+    return;
+  }
+
+  const item = items[index];
+  const sql = `INSERT INTO order_items (order_id, dish_id, size, dish_name, size_price) VALUES (?, ?, ?, ?, ?)`;
+
+  db.run(sql, [orderId, item.dish_id, item.size, item.dish_name, item.base_price], function(err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    insertOrderIngredients(this.lastID, item.ingredients || [], (err) => {
       if (err) {
-        reject(err);
+        callback(err);
         return;
       }
-      
-      const orderId = this.lastID;
-      
-      // Insert ingredients if any
-      if (ingredientIds && ingredientIds.length > 0) {
-        insertOrderIngredients(orderId, ingredientIds, (err) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          resolve(orderId);
-        });
-      } else {
-        resolve(orderId);
-      }
+      insertOrderItems(orderId, items, index + 1, callback);
     });
   });
-};
+}
 
 //----------------------------------------------------------------------------
-// Helper function to insert order ingredients (callback-based)
-function insertOrderIngredients(orderId, ingredientIds, callback) {
-  const sql = `INSERT INTO order_ingredients (order_id, ingredient_id) VALUES (?, ?)`;
+// Helper function to insert the ingredients of an order item with their portions,
+// names and prices (callback-based)
+function insertOrderIngredients(orderItemId, ingredients, callback) {
+  const sql = `
+    INSERT INTO order_ingredients (order_item_id, ingredient_id, quantity, ingredient_name, unit_price)
+    VALUES (?, ?, ?, ?, ?)
+  `;
   let completed = 0;
   let hasError = false;
-  
-  if (ingredientIds.length === 0) {
+
+  if (ingredients.length === 0) {
     callback(null);
     return;
   }
-  
-  ingredientIds.forEach(ingredientId => {
-    db.run(sql, [orderId, ingredientId], (err) => {
+
+  ingredients.forEach(ingredient => {
+    db.run(sql, [orderItemId, ingredient.id, ingredient.quantity, ingredient.name, ingredient.price], (err) => {
       if (err && !hasError) {
         hasError = true;
         callback(err);
         return;
       }
-      
+
       completed++;
-      if (completed === ingredientIds.length && !hasError) {
+      if (completed === ingredients.length && !hasError) {
         callback(null);
       }
     });
@@ -159,28 +348,55 @@ function insertOrderIngredients(orderId, ingredientIds, callback) {
 }
 
 //----------------------------------------------------------------------------
-// Cancel an order
-exports.cancelOrder = (orderId) => {
-  return new Promise((resolve, reject) => {
-    // Get order ingredients before cancelling to restore their availability
-    getOrderIngredients(orderId, (err, ingredients) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      
-      // Mark order as cancelled
-      db.run('UPDATE orders SET status = ? WHERE id = ?', ['cancelled', orderId], (err) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        // Restore availability for each ingredient (simplified - no async operations)
-        resolve({ message: 'Order cancelled successfully' });
+// Move an order from one status to the next one and record when it happened
+// Resolves false if the order is no longer in the expected status
+exports.updateOrderStatus = (orderId, fromStatus, toStatus) => {
+  return db.runInTransaction(async () => {
+    const changes = await new Promise((resolve, reject) => {
+      const sql = `UPDATE orders SET status = ? WHERE id = ? AND status = ?`;
+      db.run(sql, [toStatus, orderId, fromStatus], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
       });
     });
+    if (changes === 0) return false;
+
+    await recordStatusChange(orderId, toStatus);
+    return true;
   });
 };
 
+//----------------------------------------------------------------------------
+// Cancel an order and give its ingredients back to the stock, as a single transaction
+// Only confirmed orders can be cancelled: resolves false once preparation has started
+// (or if the order was already cancelled)
+// The cancellation and its stock changes are written to the audit log on behalf of actor
+// (and the menu cache is invalidated, like for createOrder)
+exports.cancelOrder = (orderId, actor) => {
+  return menuCache.invalidateAfter(db.runInTransaction(async () => {
+    // Mark order as cancelled (only once, so stock is never restored twice)
+    const changes = await new Promise((resolve, reject) => {
+      const sql = `UPDATE orders SET status = 'cancelled' WHERE id = ? AND status = 'confirmed'`;
+      db.run(sql, [orderId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+    if (changes === 0) return false;
+    await recordStatusChange(orderId, 'cancelled');
+    await AuditDAO.addEntry({
+      action: 'order.cancelled',
+      actor,
+      entityType: 'order',
+      entityId: orderId,
+      before: { status: 'confirmed' },
+      after: { status: 'cancelled' }
+    });
 
+    // Restore availability for every ingredient of every dish of the order
+    for (const { ingredient_id, quantity } of await getOrderIngredientUsage(orderId)) {
+      await IngredientsDAO.restoreIngredientAvailability(ingredient_id, quantity, { actor, orderId });
+    }
+    return true;
+  }));
+};
@@ -8,7 +8,7 @@ exports.getUserById = (id) => {
     
     // We get the user but we do not retrieve the password hash
     const sql = `
-      SELECT id, username, secret
+      SELECT id, username, secret, totp_required, role
       FROM users
       WHERE id = ?
     `;
@@ -20,7 +20,9 @@ exports.getUserById = (id) => {
         const user = {
           id: row.id,
           username: row.username,
-          secret: row.secret
+          secret: row.secret,
+          canDoTotp: row.totp_required === 1 && !!row.secret,
+          role: row.role
         };
         resolve(user);
       }
@@ -33,7 +35,7 @@ exports.getUserById = (id) => {
 exports.getUser = (username, password) => {
   return new Promise((resolve, reject) => {
     const sql = `
-      SELECT id, username, password, secret
+      SELECT id, username, password, secret, totp_required, role
       FROM users
       WHERE username = ?
     `;
@@ -49,7 +51,9 @@ exports.getUser = (username, password) => {
             const user = {
               id: row.id,
               username: row.username,
-              secret: row.secret
+              secret: row.secret,
+              canDoTotp: row.totp_required === 1 && !!row.secret,
+              role: row.role
             };
             resolve(user);
           }
@@ -58,3 +62,175 @@ exports.getUser = (username, password) => {
     });
   });
 };
+
+//----------------------------------------------------------------------------
+// Create a new user with a bcrypt-hashed password, not enrolled in 2FA
+// (email is optional, null when missing)
+// Rejects with a SQLITE_CONSTRAINT error if the username or the email is taken
+exports.createUser = (username, password, email) => {
+  return bcrypt.hash(password, 10).then(hash => db.runInTransaction(() => new Promise((resolve, reject) => {
+    const sql = 'INSERT INTO users (username, password, secret, totp_required, email) VALUES (?, ?, NULL, 0, ?)';
+    db.run(sql, [username, hash, email || null], function(err) {
+      if (err) reject(err);
+      else resolve(this.lastID);
+    });
+  })));
+};
+
+//----------------------------------------------------------------------------
+// Enroll a user in 2FA with the given base32 secret
+// step is the time step of the code that confirmed it, which cannot be used again
+exports.enableTotp = (userId, secret, step) => {
+  return db.runInTransaction(() => new Promise((resolve, reject) => {
+    const sql = 'UPDATE users SET secret = ?, totp_required = 1, last_totp_step = ? WHERE id = ?';
+    db.run(sql, [secret, step, userId], (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  }));
+};
+
+//----------------------------------------------------------------------------
+// Accept a TOTP time step for a user, only if it is later than the last accepted one
+// Resolves false when the step (i.e. the code) was already used
+exports.useTotpStep = (userId, step) => {
+  return db.runInTransaction(() => new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE users SET last_totp_step = ?
+      WHERE id = ? AND (last_totp_step IS NULL OR last_totp_step < ?)
+    `;
+    db.run(sql, [step, userId, step], function(err) {
+      if (err) reject(err);
+      else resolve(this.changes > 0);
+    });
+  }));
+};
+
+//----------------------------------------------------------------------------
+// Replace the recovery codes of a user with new ones (given as hashes)
+exports.replaceRecoveryCodes = (userId, codeHashes) => {
+  return db.runInTransaction(async () => {
+    await new Promise((resolve, reject) => {
+      db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+    for (const codeHash of codeHashes) {
+      await new Promise((resolve, reject) => {
+        db.run('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, codeHash], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    }
+  });
+};
+
+//----------------------------------------------------------------------------
+// Count the recovery codes of a user that were not used yet
+function countRecoveryCodes(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT COUNT(*) AS remaining FROM recovery_codes WHERE user_id = ? AND used_at IS NULL';
+    db.get(sql, [userId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row.remaining);
+    });
+  });
+}
+exports.countRecoveryCodes = countRecoveryCodes;
+
+//----------------------------------------------------------------------------
+// Use a recovery code (given as hash) of a user, each code works only once
+// Resolves the number of codes left, or null if the code is unknown or already used
+exports.useRecoveryCode = (userId, codeHash) => {
+  return db.runInTransaction(async () => {
+    const used = await new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE recovery_codes SET used_at = datetime('now')
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+      `;
+      db.run(sql, [userId, codeHash], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      });
+    });
+    return used ? countRecoveryCodes(userId) : null;
+  });
+};
+
+//----------------------------------------------------------------------------
+// Get the ID and e-mail address of a user from the username (no password check)
+exports.getUserContact = (username) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT id, username, email FROM users WHERE username = ?', [username], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+//----------------------------------------------------------------------------
+// Replace the password of a user with the bcrypt hash of the new one
+exports.updatePassword = (userId, password) => {
+  return bcrypt.hash(password, 10).then(hash => db.runInTransaction(() => new Promise((resolve, reject) => {
+    db.run('UPDATE users SET password = ? WHERE id = ?', [hash, userId], (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  })));
+};
+
+//----------------------------------------------------------------------------
+// Store a new password reset token (as its hash) valid for durationSeconds
+// The previous tokens of the user that were not used yet stop working
+exports.createResetToken = (userId, tokenHash, durationSeconds) => {
+  return db.runInTransaction(() => new Promise((resolve, reject) => {
+    const invalidateSql = `
+      UPDATE password_reset_tokens SET used_at = datetime('now')
+      WHERE user_id = ? AND used_at IS NULL
+    `;
+    db.run(invalidateSql, [userId], (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      const sql = `
+        INSERT INTO password_reset_tokens (token_hash, user_id, expires_at)
+        VALUES (?, ?, datetime('now', ?))
+      `;
+      db.run(sql, [tokenHash, userId, `+${durationSeconds} seconds`], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }));
+};
+
+//----------------------------------------------------------------------------
+// Use a password reset token to set a new password, as a single transaction
+// Resolves the ID of the user, or null if the token is unknown, expired or already used
+exports.resetPassword = (tokenHash, password) => {
+  return bcrypt.hash(password, 10).then(hash => db.runInTransaction(async () => {
+    const userId = await new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE password_reset_tokens SET used_at = datetime('now')
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+        RETURNING user_id
+      `;
+      db.get(sql, [tokenHash], (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? row.user_id : null);
+      });
+    });
+    if (userId === null) return null;
+
+    await new Promise((resolve, reject) => {
+      db.run('UPDATE users SET password = ? WHERE id = ?', [hash, userId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+    return userId;
+  }));
+};
@@ -0,0 +1,121 @@
+/**
+ * CONFIGURATION MODULE
+ *
+ * This file collects the settings of the server, read from environment variables
+ * so that they can change between development and deployment without code changes:
+ *
+ *   DB_PATH                   SQLite file of the restaurant database, created if missing
+ *                             (default: database/restaurant.sqlite); ':memory:' keeps the
+ *                             database in memory, e.g. for tests
+ *   SESSION_DB                SQLite file of the sessions (default: next to DB_PATH, e.g.
+ *                             test.sqlite -> test-sessions.sqlite, and database/sessions.sqlite
+ *                             for the default database); in memory when DB_PATH is ':memory:'
+ *   DB_SEED                   set to 0 to leave new databases empty instead of loading the
+ *                             demo data into them
+ *   SESSION_SECRET            secret used to sign the session cookie
+ *   SESSION_MAX_AGE_MINUTES   how long a session lasts without activity (default: 1 day)
+ *   SESSION_CLEANUP_MINUTES   how often expired sessions are deleted (default: 15 minutes)
+ *   SESSION_SAME_SITE         SameSite attribute of the session cookie: 'lax' (default),
+ *                             'strict', or 'none' (only sent over HTTPS)
+ *   SECOND_FACTOR_MINUTES     how long a completed 2FA verification lasts before it has to be
+ *                             repeated (default: unset, it lasts as long as the session)
+ *   TRUST_PROXY               set to 1 when behind an HTTPS reverse proxy, so that
+ *                             secure cookies are used for requests it received over HTTPS
+ *   CLIENT_URL                address of the web client, used in the links sent by e-mail
+ *                             (default: http://localhost:5173)
+ *   MAIL_TRANSPORT            how e-mails are delivered: 'file' (default) or 'console'
+ *   MAIL_DIR                  where the file transport writes e-mails (default: mail-outbox)
+ *   RESET_TOKEN_MINUTES       how long a password reset link stays valid (default: 30)
+ *
+ * When SESSION_SECRET is not set, a random secret is generated on the first start and
+ * kept in database/session-secret, so sessions still survive restarts.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+//----------------------------------------------------------------------------
+// Helper to read a positive number from the environment, with a default
+function readNumber(name, defaultValue) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : defaultValue;
+}
+
+//----------------------------------------------------------------------------
+// Helper to read the SameSite attribute of the session cookie
+function readSameSite() {
+  const value = (process.env.SESSION_SAME_SITE || 'lax').toLowerCase();
+  if (!['strict', 'lax', 'none'].includes(value)) {
+    throw new Error(`Invalid SESSION_SAME_SITE: ${process.env.SESSION_SAME_SITE}`);
+  }
+  return value;
+}
+
+//----------------------------------------------------------------------------
+// Helper to read the path of the database (':memory:' is kept as it is)
+function readDatabasePath(defaultPath) {
+  const value = process.env.DB_PATH;
+  if (!value) return defaultPath;
+  return value === ':memory:' ? value : path.resolve(value);
+}
+
+//----------------------------------------------------------------------------
+// Helper to read the path of the session database, which follows the restaurant database
+// unless SESSION_DB is set, so that a test database never shares the real sessions
+function readSessionPath(databasePath, defaultDatabasePath, defaultPath) {
+  const value = process.env.SESSION_DB;
+  if (value) return value === ':memory:' ? value : path.resolve(value);
+  if (databasePath === defaultDatabasePath) return defaultPath;
+  if (databasePath === ':memory:') return databasePath;
+
+  const { dir, name } = path.parse(databasePath);
+  return path.join(dir, `${name}-sessions.sqlite`);
+}
+
+//----------------------------------------------------------------------------
+// Helper to get the session secret from the environment or from the secret file
+function readSessionSecret(secretFile) {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+
+  try {
+    return fs.readFileSync(secretFile, 'utf8').trim();
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+  return secret;
+}
+
+const databaseDir = path.join(__dirname, 'database');
+const defaultDatabasePath = path.join(databaseDir, 'restaurant.sqlite');
+const databasePath = readDatabasePath(defaultDatabasePath);
+const sessionPath = readSessionPath(databasePath, defaultDatabasePath, path.join(databaseDir, 'sessions.sqlite'));
+
+module.exports = {
+  database: {
+    path: databasePath,
+    // Whether new (empty) databases get the demo data
+    seed: process.env.DB_SEED !== '0'
+  },
+  session: {
+    secret: readSessionSecret(path.join(databaseDir, 'session-secret')),
+    maxAge: readNumber('SESSION_MAX_AGE_MINUTES', 24 * 60) * 60 * 1000,
+    cleanupInterval: readNumber('SESSION_CLEANUP_MINUTES', 15) * 60 * 1000,
+    sameSite: readSameSite(),
+    // Sessions live in their own SQLite file (see SESSION_DB), split as the store expects
+    dir: path.dirname(sessionPath),
+    db: path.basename(sessionPath)
+  },
+  // 0 means that the second factor never expires during the session
+  secondFactorMaxAge: readNumber('SECOND_FACTOR_MINUTES', 0) * 60 * 1000,
+  trustProxy: process.env.TRUST_PROXY === '1',
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:5173',
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'file',
+    dir: process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox')
+  },
+  resetTokenDuration: readNumber('RESET_TOKEN_MINUTES', 30) * 60 * 1000
+};
@@ -0,0 +1,79 @@
+-- Migration 001: initial schema of the restaurant application
+-- This is the schema of the original database/restaurant.sql, which created the databases
+-- used before migrations existed: such a database is adopted by recording this version
+-- (see migrations.js) and gets the later migrations. Its demo data is in seeds/demo.sql.
+-- Tables: users, dishes, dish_sizes, ingredients, ingredient_dependencies, ingredient_incompatibilities, orders, order_ingredients
+
+-- Users table
+CREATE TABLE users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT UNIQUE NOT NULL,
+  password TEXT NOT NULL, -- hashed
+  totp_required INTEGER DEFAULT 1,
+  secret TEXT DEFAULT 'LXBSMDTMSP2I5XFXIYRGFVWSFI'
+);
+
+-- Dishes table (pizza, pasta, salad)
+CREATE TABLE dishes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL
+);
+
+-- Dish sizes (Small, Medium, Large)
+CREATE TABLE dish_sizes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  dish_id INTEGER NOT NULL,
+  size TEXT NOT NULL,
+  price REAL NOT NULL,
+  max_ingredients INTEGER NOT NULL,
+  FOREIGN KEY (dish_id) REFERENCES dishes(id)
+);
+
+-- Ingredients table
+CREATE TABLE ingredients (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT UNIQUE NOT NULL,
+  price REAL NOT NULL,
+  availability INTEGER -- NULL means unlimited
+);
+
+-- Ingredient constraints: dependencies (requires)
+CREATE TABLE ingredient_dependencies (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  dependent_ingredient_id INTEGER NOT NULL,
+  required_ingredient_id INTEGER NOT NULL,
+  FOREIGN KEY (dependent_ingredient_id) REFERENCES ingredients(id),
+  FOREIGN KEY (required_ingredient_id) REFERENCES ingredients(id)
+);
+
+-- Ingredient constraints: incompatibilities
+CREATE TABLE ingredient_incompatibilities (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ingredient_id INTEGER NOT NULL,
+  incompatible_ingredient_id INTEGER NOT NULL,
+  FOREIGN KEY (ingredient_id) REFERENCES ingredients(id),
+  FOREIGN KEY (incompatible_ingredient_id) REFERENCES ingredients(id)
+);
+
+-- Orders table
+CREATE TABLE orders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  dish_id INTEGER NOT NULL,
+  size TEXT NOT NULL,
+  total REAL NOT NULL,
+  date TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  status TEXT DEFAULT 'confirmed',
+  cancelled INTEGER DEFAULT 0,
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (dish_id) REFERENCES dishes(id)
+);
+
+-- Order ingredients (many-to-many)
+CREATE TABLE order_ingredients (
+  order_id INTEGER NOT NULL,
+  ingredient_id INTEGER NOT NULL,
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (ingredient_id) REFERENCES ingredients(id),
+  PRIMARY KEY (order_id, ingredient_id)
+);
@@ -0,0 +1,50 @@
+-- An order can contain several dishes: the dish and size move from orders to the new
+-- order_items table, and order_ingredients refers to the order item instead of the order.
+-- Each existing order becomes a single item, which keeps the id of the order.
+
+-- Copy the rows aside, then rebuild the two tables (children first, so that no
+-- foreign key refers to a dropped table)
+CREATE TEMP TABLE old_orders AS SELECT * FROM orders;
+CREATE TEMP TABLE old_order_ingredients AS SELECT * FROM order_ingredients;
+DROP TABLE order_ingredients;
+DROP TABLE orders;
+
+-- Orders table (one row per order, the dishes are stored in order_items)
+CREATE TABLE orders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  total REAL NOT NULL,
+  date TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  status TEXT DEFAULT 'confirmed',
+  cancelled INTEGER DEFAULT 0,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Order items (one row per configured dish inside an order)
+CREATE TABLE order_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  dish_id INTEGER NOT NULL,
+  size TEXT NOT NULL,
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (dish_id) REFERENCES dishes(id)
+);
+
+-- Order item ingredients (many-to-many)
+CREATE TABLE order_ingredients (
+  order_item_id INTEGER NOT NULL,
+  ingredient_id INTEGER NOT NULL,
+  FOREIGN KEY (order_item_id) REFERENCES order_items(id),
+  FOREIGN KEY (ingredient_id) REFERENCES ingredients(id),
+  PRIMARY KEY (order_item_id, ingredient_id)
+);
+
+INSERT INTO orders (id, user_id, total, date, status, cancelled)
+  SELECT id, user_id, total, date, status, cancelled FROM old_orders;
+INSERT INTO order_items (id, order_id, dish_id, size)
+  SELECT id, id, dish_id, size FROM old_orders;
+INSERT INTO order_ingredients (order_item_id, ingredient_id)
+  SELECT order_id, ingredient_id FROM old_order_ingredients;
+
+DROP TABLE old_orders;
+DROP TABLE old_order_ingredients;
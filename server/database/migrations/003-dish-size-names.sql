@@ -0,0 +1,7 @@
+-- Size prices and ingredient limits are read from dish_sizes, matched by the size name
+-- stored in order_items.size: the names become lowercase like those of the orders
+-- ('small', 'medium', 'large'), and a dish cannot have the same size twice
+
+UPDATE dish_sizes SET size = lower(size);
+
+CREATE UNIQUE INDEX dish_sizes_dish_size ON dish_sizes (dish_id, size);
@@ -0,0 +1,4 @@
+-- A dish can contain extra portions of an ingredient: quantity is the number of portions
+-- (the existing order items have one portion of each ingredient)
+
+ALTER TABLE order_ingredients ADD COLUMN quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity >= 1);
@@ -0,0 +1,10 @@
+-- Staff users manage the menu: they are marked by is_staff. The names of dishes and the
+-- ingredient constraints they edit must be unique (a constraint cannot be added twice).
+
+ALTER TABLE users ADD COLUMN is_staff INTEGER NOT NULL DEFAULT 0; -- staff can manage the menu
+
+CREATE UNIQUE INDEX dishes_name ON dishes (name);
+CREATE UNIQUE INDEX ingredient_dependencies_pair
+  ON ingredient_dependencies (dependent_ingredient_id, required_ingredient_id);
+CREATE UNIQUE INDEX ingredient_incompatibilities_pair
+  ON ingredient_incompatibilities (ingredient_id, incompatible_ingredient_id);
@@ -0,0 +1,47 @@
+-- Orders follow a status lifecycle (confirmed, preparing, ready, collected, or cancelled)
+-- recorded step by step in order_status_changes; the cancelled flag is replaced by the
+-- 'cancelled' status. The existing orders get a history made of their confirmation (and
+-- their cancellation, at the same time since the real one is not known).
+
+-- orders is rebuilt to add the CHECK constraint: order_items refers to it, so foreign keys
+-- are only checked at commit and the rows are inserted back before then
+PRAGMA defer_foreign_keys = ON;
+
+CREATE TEMP TABLE old_orders AS SELECT * FROM orders;
+DROP TABLE orders;
+
+-- Orders table (one row per order, the dishes are stored in order_items)
+CREATE TABLE orders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  total REAL NOT NULL,
+  date TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  status TEXT NOT NULL DEFAULT 'confirmed'
+    CHECK (status IN ('confirmed', 'preparing', 'ready', 'collected', 'cancelled')),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+INSERT INTO orders (id, user_id, total, date, status)
+  SELECT id, user_id, total, date,
+    CASE
+      WHEN cancelled = 1 OR status = 'cancelled' THEN 'cancelled'
+      WHEN status IN ('preparing', 'ready', 'collected') THEN status
+      ELSE 'confirmed'
+    END
+  FROM old_orders;
+
+DROP TABLE old_orders;
+
+-- Order status changes (one row per step of the lifecycle, the first one is 'confirmed')
+CREATE TABLE order_status_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  changed_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id)
+);
+
+INSERT INTO order_status_changes (order_id, status, changed_at)
+  SELECT id, 'confirmed', date FROM orders ORDER BY id;
+INSERT INTO order_status_changes (order_id, status, changed_at)
+  SELECT id, status, date FROM orders WHERE status <> 'confirmed' ORDER BY id;
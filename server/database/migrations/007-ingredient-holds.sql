@@ -0,0 +1,10 @@
+-- Ingredient holds: units of limited ingredients set aside for a customer who is
+-- still configuring an order (one row per session and ingredient, until expires_at)
+CREATE TABLE ingredient_holds (
+  session_id TEXT NOT NULL,
+  ingredient_id INTEGER NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity >= 1),
+  expires_at TEXT NOT NULL,
+  FOREIGN KEY (ingredient_id) REFERENCES ingredients(id),
+  PRIMARY KEY (session_id, ingredient_id)
+);
@@ -0,0 +1,27 @@
+-- Users sign up by themselves and enroll in 2FA with their own secret: new users have no
+-- secret and totp_required 0 until they enroll. The existing users keep their secret and
+-- stay enrolled (totp_required becomes 0 only for those without a secret).
+
+-- users is rebuilt to change the defaults: orders refers to it, so foreign keys are only
+-- checked at commit and the rows are inserted back before then
+PRAGMA defer_foreign_keys = ON;
+
+CREATE TEMP TABLE old_users AS SELECT * FROM users;
+DROP TABLE users;
+
+CREATE TABLE users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT UNIQUE NOT NULL,
+  password TEXT NOT NULL, -- hashed
+  totp_required INTEGER NOT NULL DEFAULT 0, -- 1 once the user has enrolled in 2FA
+  secret TEXT DEFAULT NULL, -- base32 TOTP secret, NULL until the user enrolls
+  is_staff INTEGER NOT NULL DEFAULT 0 -- staff can manage the menu
+);
+
+INSERT INTO users (id, username, password, totp_required, secret, is_staff)
+  SELECT id, username, password,
+    CASE WHEN secret IS NULL THEN 0 ELSE COALESCE(totp_required, 0) END,
+    secret, is_staff
+  FROM old_users;
+
+DROP TABLE old_users;
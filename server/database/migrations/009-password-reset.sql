@@ -0,0 +1,15 @@
+-- Users can change their password and reset it through a link sent to their email
+-- (optional, and unique: UNIQUE cannot be added with ALTER TABLE, so it is an index)
+
+ALTER TABLE users ADD COLUMN email TEXT; -- where password reset links are sent, optional
+CREATE UNIQUE INDEX users_email ON users (email);
+
+-- Password reset tokens (only a SHA-256 hash of the token is stored)
+-- A token can be used once, before expires_at
+CREATE TABLE password_reset_tokens (
+  token_hash TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  expires_at TEXT NOT NULL,
+  used_at TEXT,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
@@ -0,0 +1,11 @@
+-- Failed login attempts, counted per account and per IP address (brute-force protection)
+-- kind is 'password' or 'totp', subject is 'account:<username>' or 'ip:<address>'
+-- While locked_until is in the future, the subject cannot try again
+CREATE TABLE login_attempts (
+  kind TEXT NOT NULL CHECK (kind IN ('password', 'totp')),
+  subject TEXT NOT NULL,
+  failures INTEGER NOT NULL CHECK (failures >= 1),
+  last_failure_at TEXT NOT NULL,
+  locked_until TEXT,
+  PRIMARY KEY (kind, subject)
+);
@@ -0,0 +1,14 @@
+-- TOTP codes are never accepted twice, and recovery codes replace them when the
+-- authenticator is lost
+
+ALTER TABLE users ADD COLUMN last_totp_step INTEGER; -- time step of the last accepted TOTP code
+
+-- Recovery codes: single-use codes that replace a TOTP code when the authenticator is lost
+-- Only a SHA-256 hash of each code is stored
+CREATE TABLE recovery_codes (
+  user_id INTEGER NOT NULL,
+  code_hash TEXT NOT NULL,
+  used_at TEXT,
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  PRIMARY KEY (user_id, code_hash)
+);
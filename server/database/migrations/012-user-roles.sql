@@ -0,0 +1,10 @@
+-- The is_staff flag is replaced by a role: customer makes orders; kitchen prepares orders
+-- and manages the menu; manager does the same as kitchen, and can see every order.
+-- Existing staff users become kitchen users.
+
+ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'customer'
+  CHECK (role IN ('customer', 'kitchen', 'manager'));
+
+UPDATE users SET role = 'kitchen' WHERE is_staff = 1;
+
+ALTER TABLE users DROP COLUMN is_staff;
@@ -0,0 +1,27 @@
+-- Audit log of security and inventory events, append-only (the triggers reject changes)
+-- actor_id is NULL when nobody is logged in; actor_name is then the username that was tried
+-- before and after are JSON values (NULL when they do not apply)
+CREATE TABLE audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  action TEXT NOT NULL, -- e.g. 'login.failure', 'order.cancelled', 'ingredient.consumed'
+  actor_id INTEGER,
+  actor_name TEXT,
+  ip TEXT,
+  entity_type TEXT, -- 'user', 'order', 'ingredient' or 'dish'
+  entity_id INTEGER,
+  before TEXT,
+  after TEXT
+);
+CREATE INDEX audit_log_entity ON audit_log (entity_type, entity_id);
+CREATE INDEX audit_log_actor ON audit_log (actor_name);
+
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
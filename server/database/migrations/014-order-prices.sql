@@ -0,0 +1,23 @@
+-- Orders keep the names and prices they were placed with, so that later changes
+-- to the menu do not rewrite them: order_items gets the dish name and the price of
+-- the size, order_ingredients the ingredient name and the price of one portion
+
+ALTER TABLE order_items ADD COLUMN dish_name TEXT;
+ALTER TABLE order_items ADD COLUMN size_price REAL;
+
+ALTER TABLE order_ingredients ADD COLUMN ingredient_name TEXT;
+ALTER TABLE order_ingredients ADD COLUMN unit_price REAL;
+
+-- The orders placed before this migration did not record them: they get the current
+-- names and prices, the closest values still known (size_price stays NULL when the
+-- size has been removed from the dish since)
+UPDATE order_items SET
+  dish_name = (SELECT d.name FROM dishes d WHERE d.id = order_items.dish_id),
+  size_price = (
+    SELECT ds.price FROM dish_sizes ds
+    WHERE ds.dish_id = order_items.dish_id AND ds.size = order_items.size
+  );
+
+UPDATE order_ingredients SET
+  ingredient_name = (SELECT i.name FROM ingredients i WHERE i.id = order_ingredients.ingredient_id),
+  unit_price = (SELECT i.price FROM ingredients i WHERE i.id = order_ingredients.ingredient_id);
@@ -0,0 +1,7 @@
+-- Dishes and ingredients that appear in orders cannot be deleted: they are retired
+-- instead. A retired item (retired_at set) leaves the menu and cannot be ordered,
+-- while past orders keep referring to it; a retired ingredient keeps its dependencies
+-- and incompatibilities, which are ignored until it is restored (retired_at NULL)
+
+ALTER TABLE dishes ADD COLUMN retired_at TEXT;
+ALTER TABLE ingredients ADD COLUMN retired_at TEXT;
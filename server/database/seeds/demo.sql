@@ -0,0 +1,105 @@
+-- Demo data: the menu, the users listed in the README and a few orders
+-- Loaded into new databases only, after the migrations (see manage-db.js)
+
+-- Insert base dishes
+INSERT INTO dishes (id, name) VALUES (1, 'Pizza'), (2, 'Pasta'), (3, 'Salad');
+
+-- Insert dish sizes (small, medium, large) for each dish
+-- The size names are the same values stored in order_items.size
+INSERT INTO dish_sizes (dish_id, size, price, max_ingredients) VALUES
+  (1, 'small', 5, 3), (1, 'medium', 7, 5), (1, 'large', 9, 7),
+  (2, 'small', 5, 3), (2, 'medium', 7, 5), (2, 'large', 9, 7),
+  (3, 'small', 5, 3), (3, 'medium', 7, 5), (3, 'large', 9, 7);
+
+-- Insert ingredients (with price and initial availability)
+INSERT INTO ingredients (id, name, price, availability) VALUES
+  (1, 'mozzarella', 1.00, 3),
+  (2, 'tomatoes', 0.50, NULL),
+  (3, 'mushrooms', 0.80, 3),
+  (4, 'ham', 1.20, 2),
+  (5, 'olives', 0.70, NULL),
+  (6, 'tuna', 1.50, 2),
+  (7, 'eggs', 1.00, NULL),
+  (8, 'anchovies', 1.50, 1),
+  (9, 'parmesan', 1.20, NULL),
+  (10, 'carrots', 0.40, NULL),
+  (11, 'potatoes', 0.30, NULL);
+
+-- Insert ingredient incompatibilities
+-- eggs are incompatible with mushrooms and tomatoes
+INSERT INTO ingredient_incompatibilities (ingredient_id, incompatible_ingredient_id) VALUES
+  (7, 3), (7, 2),
+-- ham is incompatible with mushrooms
+  (4, 3),
+-- olives are incompatible with anchovies
+  (5, 8);
+
+-- Insert ingredient dependencies
+-- tomatoes require olives
+INSERT INTO ingredient_dependencies (dependent_ingredient_id, required_ingredient_id) VALUES
+  (2, 5),
+-- parmesan requires mozzarella
+  (9, 1),
+-- mozzarella requires tomatoes
+  (1, 2),
+-- tuna requires olives
+  (6, 5);
+
+-- Insert users (passwords are bcrypt hashes for 'password')
+-- At least 4 users as required by the professor
+-- The pre-loaded users are enrolled in 2FA with the same secret
+INSERT INTO users (id, username, password, secret, totp_required, email) VALUES
+  (1, 'simone', '$2b$10$BOLrLplMpvo/XR.J0qaeD.i58ggt7/bJij9olmEJT4mmREa29YSJq', 'LXBSMDTMSP2I5XFXIYRGFVWSFI', 1, 'simone@restaurant.test'),
+  (2, 'elia', '$2b$10$BOLrLplMpvo/XR.J0qaeD.i58ggt7/bJij9olmEJT4mmREa29YSJq', 'LXBSMDTMSP2I5XFXIYRGFVWSFI', 1, 'elia@restaurant.test'),
+  (3, 'andrea', '$2b$10$BOLrLplMpvo/XR.J0qaeD.i58ggt7/bJij9olmEJT4mmREa29YSJq', 'LXBSMDTMSP2I5XFXIYRGFVWSFI', 1, 'andrea@restaurant.test'),
+  (4, 'renato', '$2b$10$BOLrLplMpvo/XR.J0qaeD.i58ggt7/bJij9olmEJT4mmREa29YSJq', 'LXBSMDTMSP2I5XFXIYRGFVWSFI', 1, 'renato@restaurant.test');
+
+-- Staff users: the chef (kitchen) and the manager
+INSERT INTO users (id, username, password, secret, totp_required, role, email) VALUES
+  (5, 'chef', '$2b$10$BOLrLplMpvo/XR.J0qaeD.i58ggt7/bJij9olmEJT4mmREa29YSJq', 'LXBSMDTMSP2I5XFXIYRGFVWSFI', 1, 'kitchen', 'chef@restaurant.test'),
+  (6, 'manager', '$2b$10$BOLrLplMpvo/XR.J0qaeD.i58ggt7/bJij9olmEJT4mmREa29YSJq', 'LXBSMDTMSP2I5XFXIYRGFVWSFI', 1, 'manager', 'manager@restaurant.test');
+
+-- Pre-loaded orders as required by the professor:
+-- Two users must have sent two orders each, one for 2 Small dishes, the other for 1 Medium and 1 Large dish
+INSERT INTO orders (id, user_id, total, date, status) VALUES
+  (1, 1, 14.1, '2025-06-29 10:00:00', 'confirmed'),  -- Simone: 2 Small dishes
+  (2, 2, 21.2, '2025-06-29 12:00:00', 'confirmed'),  -- Elia: 1 Medium and 1 Large dish
+  (3, 1, 20.5, '2025-06-29 11:00:00', 'confirmed'),  -- Simone: 1 Medium and 1 Large dish
+  (4, 2, 12.8, '2025-06-29 13:00:00', 'confirmed');  -- Elia: 2 Small dishes
+
+-- Status history of the pre-loaded orders
+INSERT INTO order_status_changes (order_id, status, changed_at) VALUES
+  (1, 'confirmed', '2025-06-29 10:00:00'),
+  (2, 'confirmed', '2025-06-29 12:00:00'),
+  (3, 'confirmed', '2025-06-29 11:00:00'),
+  (4, 'confirmed', '2025-06-29 13:00:00');
+
+-- Dishes of the pre-loaded orders, with the dish name and size price they were ordered at
+INSERT INTO order_items (id, order_id, dish_id, size, dish_name, size_price) VALUES
+  (1, 1, 1, 'small', 'Pizza', 5),    -- Pizza small with mozzarella, tomatoes, olives
+  (2, 1, 2, 'small', 'Pasta', 5),    -- Pasta small with ham, olives
+  (3, 2, 1, 'medium', 'Pizza', 7),   -- Pizza medium with mushrooms, tuna, olives
+  (4, 2, 3, 'large', 'Salad', 9),    -- Salad large with anchovies, carrots, potatoes
+  (5, 3, 2, 'medium', 'Pasta', 7),   -- Pasta medium with ham, olives
+  (6, 3, 3, 'large', 'Salad', 9),    -- Salad large with tuna, olives, carrots
+  (7, 4, 1, 'small', 'Pizza', 5),    -- Pizza small with mushrooms, olives
+  (8, 4, 3, 'small', 'Salad', 5);    -- Salad small with eggs, potatoes
+
+-- Ingredients of the pre-loaded order items, with the name and price they were ordered at
+INSERT INTO order_ingredients (order_item_id, ingredient_id, ingredient_name, unit_price) VALUES
+  -- Simone's small pizza: mozzarella, tomatoes, olives
+  (1, 1, 'mozzarella', 1.00), (1, 2, 'tomatoes', 0.50), (1, 5, 'olives', 0.70),
+  -- Simone's small pasta: ham, olives
+  (2, 4, 'ham', 1.20), (2, 5, 'olives', 0.70),
+  -- Elia's medium pizza: mushrooms, tuna, olives
+  (3, 3, 'mushrooms', 0.80), (3, 6, 'tuna', 1.50), (3, 5, 'olives', 0.70),
+  -- Elia's large salad: anchovies, carrots, potatoes
+  (4, 8, 'anchovies', 1.50), (4, 10, 'carrots', 0.40), (4, 11, 'potatoes', 0.30),
+  -- Simone's medium pasta: ham, olives
+  (5, 4, 'ham', 1.20), (5, 5, 'olives', 0.70),
+  -- Simone's large salad: tuna, olives, carrots
+  (6, 6, 'tuna', 1.50), (6, 5, 'olives', 0.70), (6, 10, 'carrots', 0.40),
+  -- Elia's small pizza: mushrooms, olives
+  (7, 3, 'mushrooms', 0.80), (7, 5, 'olives', 0.70),
+  -- Elia's small salad: eggs, potatoes
+  (8, 7, 'eggs', 1.00), (8, 11, 'potatoes', 0.30);
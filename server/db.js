@@ -4,24 +4,85 @@
  * This file provides a simple SQLite database connection for the Restaurant application.
  * Following the pattern from the professor's examples with clean separation of concerns.
  * 
- * The database schema and initial data are defined in restaurant.sql
- * Run: sqlite3 restaurant.sqlite < restaurant.sql to initialize the database
+ * The database lives at DB_PATH (see config.js) and is created if missing. On connection
+ * the schema migrations of database/migrations are applied (see migrations.js) and a new
+ * database gets the demo data, unless DB_SEED=0. db.ready resolves once all of this is
+ * done, and rejects if it fails: the server must wait for it before using the database.
  */
 
 const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const config = require('./config');
+const migrations = require('./migrations');
+
+let setReady;
+let setFailed;
 
 // Create database connection
-const db = new sqlite3.Database(path.join(__dirname, 'database', 'restaurant.sqlite'), (err) => {
+const db = new sqlite3.Database(config.database.path, (err) => {
   if (err) {
-    console.error('Error opening database:', err.message);
-    process.exit(1);
-  } else {
-    console.log('Connected to SQLite database');
-    // Enable foreign key constraints for referential integrity
-    db.run('PRAGMA foreign_keys = ON');
+    setFailed(new Error(`Cannot open the database: ${err.message}`));
+    return;
   }
+
+  console.log('Connected to SQLite database');
+  // Enable foreign key constraints for referential integrity
+  db.run('PRAGMA foreign_keys = ON', (err) => {
+    if (err) {
+      setFailed(new Error(`Cannot enable foreign keys: ${err.message}`));
+      return;
+    }
+
+    migrations.migrate(db, { seed: config.database.seed })
+      .then(({ applied, seeded, adopted }) => {
+        if (adopted) console.log('Adopted the database created before schema migrations (version 1)');
+        if (applied.length > 0) console.log(`Applied schema migrations: ${applied.join(', ')}`);
+        if (seeded) console.log('Loaded the demo data into the new database');
+        setReady();
+      })
+      .catch(setFailed);
+  });
+});
+
+db.ready = new Promise((resolve, reject) => {
+  setReady = resolve;
+  setFailed = reject;
 });
 
+//----------------------------------------------------------------------------
+// Run work() as a single transaction on the shared connection
+// work must return a promise: the transaction is committed when it resolves and
+// rolled back when it rejects. Transactions are queued so that only one is open
+// at a time and statements of different transactions never interleave.
+// DAOs run every write through here, so that a write never ends up inside
+// (and rolled back with) another request's transaction.
+let transactionQueue = Promise.resolve();
+
+db.runInTransaction = (work) => {
+  const run = () => new Promise((resolve, reject) => {
+    db.run('BEGIN IMMEDIATE TRANSACTION', (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      Promise.resolve()
+        .then(() => work())
+        .then(result => {
+          db.run('COMMIT', (err) => {
+            if (err) db.run('ROLLBACK', () => reject(err));
+            else resolve(result);
+          });
+        })
+        .catch(workErr => {
+          db.run('ROLLBACK', () => reject(workErr));
+        });
+    });
+  });
+
+  const result = transactionQueue.then(run);
+  transactionQueue = result.catch(() => {});
+  return result;
+};
+
 // Export the database connection for use in DAOs
 module.exports = db;
@@ -0,0 +1,68 @@
+/**
+ * LIVE UPDATES MODULE
+ *
+ * This file keeps track of the browsers listening on GET /api/events and pushes
+ * server-sent events to them, so that they do not have to poll the API:
+ * - 'ingredients': the full ingredient list, sent to everybody when stock changes
+ *   (each stream gets its own copy, since reserved units depend on the session)
+ * - 'order-status': an order whose status changed, sent only to the user who owns it
+ */
+
+// Open streams: each one is { res, userId, sessionId } (userId is null for anonymous visitors)
+const clients = new Set();
+
+// Comment line sent periodically so that proxies do not close idle streams
+const HEARTBEAT_INTERVAL = 25000;
+
+//----------------------------------------------------------------------------
+// Helper to write one event on a stream
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+//----------------------------------------------------------------------------
+// Turn the response into an event stream and keep it open until the browser leaves
+exports.subscribe = (req, res, userId) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  // Tell the browser how long to wait before reconnecting when the stream drops
+  res.write('retry: 5000\n\n');
+
+  const client = { res, userId, sessionId: req.sessionID };
+  clients.add(client);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+
+  return client;
+};
+
+//----------------------------------------------------------------------------
+// Send an event to a single stream (e.g. the current state when it opens)
+exports.sendTo = (client, event, data) => {
+  send(client.res, event, data);
+};
+
+//----------------------------------------------------------------------------
+// Send an event to every open stream, dataFor(client) builds the data of each one
+exports.broadcast = (event, dataFor) => {
+  for (const client of clients) {
+    send(client.res, event, dataFor(client));
+  }
+};
+
+//----------------------------------------------------------------------------
+// Send an order to the streams of the user who owns it
+exports.notifyOrderStatus = (order) => {
+  for (const client of clients) {
+    if (client.userId === order.user_id) {
+      send(client.res, 'order-status', order);
+    }
+  }
+};
@@ -5,19 +5,32 @@ const express = require('express');
 const morgan = require('morgan');
 const cors = require('cors');
 const session = require('express-session');
+const SQLiteStore = require('connect-sqlite3')(session);
 
 const passport = require('passport');
 const base32 = require('thirty-two');
 const LocalStrategy = require('passport-local');
-const TotpStrategy = require('passport-totp').Strategy;
+const notp = require('notp');
+const QRCode = require('qrcode');
+const crypto = require('crypto');
+
+const db = require('./db');
 
 // Import the Data Access Objects (DAOs) for users, dishes, ingredients, and orders
 const daoUsers = require('./DAOs/dao-users');
 const daoDishes = require('./DAOs/dao-dishes');
 const daoIngredients = require('./DAOs/dao-ingredients');
 const daoOrders = require('./DAOs/dao-orders');
+const daoHolds = require('./DAOs/dao-holds');
+const daoAttempts = require('./DAOs/dao-attempts');
+const daoAudit = require('./DAOs/dao-audit');
+const events = require('./events');
+const menuCache = require('./menu-cache');
+const prices = require('./prices');
+const config = require('./config');
+const mail = require('./mail');
 
-const { validationResult, body } = require('express-validator');
+const { validationResult, matchedData, body, param, query } = require('express-validator');
 
 //----------------------------------------------------------------------------
 // Create the Express app and configure middleware
@@ -33,18 +46,150 @@ app.use(express.json());
 const corsOptions = {
   origin: 'http://localhost:5173',
   credentials: true,
+  // The client reads the validators of the menu and sends them back in If-None-Match,
+  // which needs a preflight: let the browser reuse it instead of asking at every poll
+  exposedHeaders: ['ETag'],
+  maxAge: 600,
 };
 app.use(cors(corsOptions));
 
 //----------------------------------------------------------------------------
-// Session management (using default MemoryStore as in lectures)
+// Session management
+// Sessions are stored in SQLite, so logins (and completed 2FA) survive restarts
+const sessionStore = new SQLiteStore({
+  dir: config.session.dir,
+  db: config.session.db
+});
+
+// Behind an HTTPS reverse proxy, trust it to tell whether the request was secure
+if (config.trustProxy) app.set('trust proxy', 1);
+
 app.use(session({
-  secret: "secret",
+  store: sessionStore,
+  secret: config.session.secret,
   resave: false,
   saveUninitialized: false,
+  cookie: {
+    httpOnly: true,
+    // Browsers do not send the cookie with requests started by other sites (first line
+    // of defense against CSRF, together with the token below)
+    sameSite: config.session.sameSite,
+    // Secure cookies whenever the request came over HTTPS (always for SameSite=None,
+    // which browsers accept only on secure cookies)
+    secure: config.session.sameSite === 'none' ? true : 'auto',
+    maxAge: config.session.maxAge
+  }
 }));
+
+// Delete expired sessions periodically (the store itself only does it once a day)
+setInterval(() => {
+  sessionStore.db.run('DELETE FROM sessions WHERE ? > expired', [Date.now()], (err) => {
+    if (err) console.error('Error deleting expired sessions:', err.message);
+  });
+}, config.session.cleanupInterval).unref();
 app.use(passport.authenticate('session'));
 
+//----------------------------------------------------------------------------
+// Details shown in the list of the user's sessions: when the session logged in
+// (set at login), when it was last used and from which browser and address.
+// The last activity is updated at most once a minute, so that not every
+// request rewrites the stored session.
+const SESSION_ACTIVITY_RESOLUTION = 60 * 1000;
+
+function recordSessionStart(req) {
+  req.session.createdAt = Date.now();
+  req.session.lastActivityAt = Date.now();
+  req.session.userAgent = req.get('User-Agent') ?? null;
+  req.session.ip = req.ip;
+}
+
+app.use((req, res, next) => {
+  if (req.isAuthenticated() && Date.now() - (req.session.lastActivityAt ?? 0) >= SESSION_ACTIVITY_RESOLUTION) {
+    req.session.lastActivityAt = Date.now();
+    req.session.ip = req.ip;
+  }
+  next();
+});
+
+//----------------------------------------------------------------------------
+// Helper to log out a user everywhere else (everywhere when exceptSessionId is null),
+// giving back the ingredients held by the sessions it ends
+async function destroyUserSessions(userId, exceptSessionId) {
+  const sids = (await getUserSessions(userId))
+    .map(({ sid }) => sid)
+    .filter(sid => sid !== exceptSessionId);
+  await revokeSessions(sids);
+}
+
+// Helper to get the sessions of a user that have not expired yet, as
+// [{ sid, expiresAt, session }] where session is the stored session data
+function getUserSessions(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT sid, expired, sess FROM sessions
+      WHERE json_extract(sess, '$.passport.user') = ? AND expired > ?
+    `;
+    sessionStore.db.all(sql, [userId, Date.now()], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => ({ sid: row.sid, expiresAt: row.expired, session: JSON.parse(row.sess) })));
+    });
+  });
+}
+
+// Helper to end some sessions of a user from another one, giving back the
+// ingredients they hold (like a logout would)
+async function revokeSessions(sids) {
+  for (const sid of sids) {
+    await daoHolds.releaseHolds(sid);
+    await new Promise((resolve, reject) => {
+      sessionStore.destroy(sid, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+}
+
+// Helper to get the ID under which a session is shown to its user
+// (the session ID itself must stay as secret as the cookie carrying it)
+function publicSessionId(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+}
+
+// E-mails (e.g. password reset links) go through the configured transport
+mail.configure(config.mail);
+
+//----------------------------------------------------------------------------
+// CSRF protection
+// Every request that changes something (any method but GET, HEAD and OPTIONS) must
+// carry the CSRF token of its session in the X-CSRF-Token header. Other sites can
+// make the browser send the session cookie, but they cannot read the token.
+// The token changes with the session, i.e. at login and logout.
+const CSRF_HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function csrfProtection(req, res, next) {
+  if (SAFE_METHODS.includes(req.method)) return next();
+
+  const expected = Buffer.from(req.session.csrfToken || '');
+  const received = Buffer.from(req.get(CSRF_HEADER) || '');
+  if (expected.length > 0 && received.length === expected.length && crypto.timingSafeEqual(received, expected)) {
+    return next();
+  }
+  // Distinct code, so that the client knows it can get a new token and try again
+  return res.status(403).json({ error: 'Invalid CSRF token', code: 'EBADCSRFTOKEN' });
+}
+app.use('/api', csrfProtection);
+
+//----------------------------------------------------------------------------
+// Get the CSRF token of the session (creating the session if needed)
+app.get('/api/csrf-token', (req, res) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  res.json({ csrfToken: req.session.csrfToken });
+});
+
 //----------------------------------------------------------------------------
 // Initialize Passport.js for authentication
 // The local strategy is used for username/password authentication
@@ -60,14 +205,42 @@ passport.use(new LocalStrategy(
 ));
 
 //----------------------------------------------------------------------------
-// The TOTP strategy is used for two-factor authentication (2FA)
-passport.use(new TotpStrategy(
-  function(user, done) {
-    // Fixed secret for all users as specified in exam requirements
-    if (!user.secret) return done(null, null);
-    return done(null, base32.decode(user.secret), 30);
-  }
-));
+// TOTP codes are used for two-factor authentication (2FA)
+// Each user has their own secret, set when they enroll in 2FA
+const TOTP_PERIOD = 30;
+
+// Helper to find the time step of a TOTP code, or null if the code is wrong
+// The code may be one step early or late, to tolerate clock drift
+function totpStep(secret, code) {
+  const match = notp.totp.verify(String(code ?? ''), base32.decode(secret), { window: 1, time: TOTP_PERIOD });
+  if (!match) return null;
+  return Math.floor(Date.now() / 1000 / TOTP_PERIOD) + match.delta;
+}
+
+// Helper to check the TOTP code of a user: each code is accepted only once, so a
+// code seen by someone else cannot be replayed while it is still valid
+async function verifyTotp(user, code) {
+  if (!user.canDoTotp) return false;
+  const step = totpStep(user.secret, code);
+  if (step === null) return false;
+  return daoUsers.useTotpStep(user.id, step);
+}
+
+//----------------------------------------------------------------------------
+// Recovery codes replace a TOTP code when the authenticator app is lost
+// They are shown once to the user, only their SHA-256 hashes are stored
+const RECOVERY_CODE_COUNT = 10;
+
+// Helper to generate a recovery code, e.g. 'k3v9-xq2m-7fha'
+function generateRecoveryCode() {
+  return base32.encode(crypto.randomBytes(8)).toString().slice(0, 12).toLowerCase().match(/.{4}/g).join('-');
+}
+
+// Helper to hash a recovery code as typed by the user (case, spaces and dashes do not matter)
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
 
 //----------------------------------------------------------------------------
 // Serialize and deserialize user instances to support sessions
@@ -88,13 +261,67 @@ function isLoggedIn(req, res, next) {
   return res.status(401).json({ error: 'Not authenticated' });
 }
 
+//----------------------------------------------------------------------------
+// The second factor of a session is tracked in req.session.secondFactor:
+// { method: 'totp' | 'recovery_code', verifiedAt } once verified, absent until then.
+// It can be verified right after the password or later on (step-up), and it
+// expires after SECOND_FACTOR_MINUTES when that is set.
+function markSecondFactor(req, method) {
+  req.session.secondFactor = { method, verifiedAt: Date.now() };
+}
+
+// Helper to get when the second factor of a session expires (null if it does not)
+// (session is req.session, or a session read from the store)
+function secondFactorExpiresAt(session) {
+  const secondFactor = session.secondFactor;
+  if (!secondFactor || !config.secondFactorMaxAge) return null;
+  return secondFactor.verifiedAt + config.secondFactorMaxAge;
+}
+
+// Helper to check if a session has a valid second factor
+function hasSecondFactor(session) {
+  if (!session.secondFactor) return false;
+  const expiresAt = secondFactorExpiresAt(session);
+  return expiresAt === null || Date.now() < expiresAt;
+}
+
 //----------------------------------------------------------------------------
 // middleware to check if user has completed TOTP
 function isTotp(req, res, next) {
-  if (req.session.method === 'totp') return next();
+  if (hasSecondFactor(req.session)) return next();
   return res.status(401).json({ error: 'TOTP authentication required' });
 }
 
+//----------------------------------------------------------------------------
+// middleware to require a completed 2FA from the users enrolled in it
+// (users who are not enrolled have no second factor to give)
+function isTotpIfEnrolled(req, res, next) {
+  if (!req.user.canDoTotp) return next();
+  return isTotp(req, res, next);
+}
+
+//----------------------------------------------------------------------------
+// Roles of the users: customers make orders, the kitchen staff prepares them and
+// manages the menu, managers can do what the kitchen does and also see every order
+const ROLES = { CUSTOMER: 'customer', KITCHEN: 'kitchen', MANAGER: 'manager' };
+const STAFF_ROLES = [ROLES.KITCHEN, ROLES.MANAGER];
+
+//----------------------------------------------------------------------------
+// middleware to declare what a route requires: a logged-in user, with one of the
+// given roles (any role if not given) and, if totp is true, a completed 2FA
+// e.g. app.post('/api/dishes', authorize({ roles: STAFF_ROLES, totp: true }), ...)
+function authorize({ roles = null, totp = false } = {}) {
+  const checks = [isLoggedIn];
+  if (roles) {
+    checks.push(function hasRole(req, res, next) {
+      if (roles.includes(req.user.role)) return next();
+      return res.status(403).json({ error: 'Forbidden' });
+    });
+  }
+  if (totp) checks.push(isTotp);
+  return checks;
+}
+
 //----------------------------------------------------------------------------
 // Helper to send user info to client, including isTotp
 function clientUserInfo(req) {
@@ -103,29 +330,122 @@ function clientUserInfo(req) {
     id: user.id, 
     username: user.username, 
     name: user.username, 
-    canDoTotp: true, // For this exam, all users can perform TOTP
-    isTotp: req.session.method === 'totp'  // Whether user has completed 2FA
+    canDoTotp: user.canDoTotp, // Whether user has enrolled in 2FA
+    isTotp: hasSecondFactor(req.session),  // Whether user has completed 2FA
+    // When the completed 2FA expires (null if it lasts the whole session)
+    totpExpiresAt: hasSecondFactor(req.session) && secondFactorExpiresAt(req.session) !== null
+      ? new Date(secondFactorExpiresAt(req.session)).toISOString()
+      : null,
+    role: user.role  // customer, kitchen or manager
   };
 }
 
 
+//#############################################################################
+// Brute-force protection
+// Failed passwords and TOTP codes are counted (separately) per account and per
+// IP address. After a few free attempts every failure locks the account or the
+// address, each time twice as long. The counters are kept in the database, so
+// restarting the server does not reset them.
+
+const LOGIN_LIMITS = {
+  account: { freeAttempts: 5, baseDelaySeconds: 30, maxDelaySeconds: 60 * 60 },
+  // An address can be shared by many users (e.g. behind a NAT), so it gets more attempts
+  ip: { freeAttempts: 20, baseDelaySeconds: 30, maxDelaySeconds: 60 * 60 },
+  // Failures are forgotten after a day without new ones
+  forgetAfterSeconds: 24 * 60 * 60
+};
+
+//----------------------------------------------------------------------------
+// Helper to get the counters of a login attempt
+function attemptSubjects(req, username) {
+  return { account: `account:${username}`, ip: `ip:${req.ip}` };
+}
+
+//----------------------------------------------------------------------------
+// Helper to refuse an attempt while locked out (429, with Retry-After in seconds)
+function sendLockout(res, seconds) {
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    error: `Too many failed attempts, try again in ${seconds} seconds`,
+    retry_after: seconds
+  });
+}
+
+//----------------------------------------------------------------------------
+// Helper to count a failed attempt, resolves the lockout it caused (0 if none)
+function recordFailedAttempt(kind, subjects) {
+  return daoAttempts.recordFailure(kind, [
+    { subject: subjects.account, ...LOGIN_LIMITS.account },
+    { subject: subjects.ip, ...LOGIN_LIMITS.ip }
+  ], LOGIN_LIMITS.forgetAfterSeconds);
+}
+
+//----------------------------------------------------------------------------
+// Helper to describe who acts, for the audit log: the logged in user or, when
+// nobody is logged in (e.g. a failed login), the username that was tried
+function auditActor(req, username) {
+  return req.user
+    ? { id: req.user.id, username: req.user.username, ip: req.ip }
+    : { id: null, username: username ?? null, ip: req.ip };
+}
+
+// Delete old counters every hour
+setInterval(() => {
+  daoAttempts.deleteStaleAttempts(LOGIN_LIMITS.forgetAfterSeconds)
+    .catch(err => console.error('Error deleting old login attempts:', err.message));
+}, 60 * 60 * 1000).unref();
+
+
 //#############################################################################
 // Authentication APIs
 
-// Login (username/password)
-app.post('/api/sessions', function(req, res, next) {
-  passport.authenticate('local', function(err, user, info) {
+// Login (username/password), refused while the account or the address is locked out
+app.post('/api/sessions', async function(req, res, next) {
+  const subjects = attemptSubjects(req, String(req.body.username ?? ''));
+  try {
+    const lockout = await daoAttempts.getLockout('password', [subjects.account, subjects.ip]);
+    if (lockout > 0) return sendLockout(res, lockout);
+  } catch (err) {
+    return next(err);
+  }
+
+  passport.authenticate('local', async function(err, user, info) {
     if (err) return next(err);
-    if (!user) return res.status(401).json(info);
+    if (!user) {
+      try {
+        await daoAudit.logEvent({
+          action: 'login.failure',
+          actor: auditActor(req, String(req.body.username ?? '')),
+          entityType: 'user'
+        });
+        const lockout = await recordFailedAttempt('password', subjects);
+        if (lockout > 0) return sendLockout(res, lockout);
+        return res.status(401).json(info);
+      } catch (err) {
+        return next(err);
+      }
+    }
     
-    req.login(user, function(err) {
+    req.login(user, async function(err) {
       if (err) return next(err);
       
-      // For this restaurant app, all users can do TOTP
-      req.session.secondFactor = 'pending';
+      try {
+        await daoAttempts.clearFailures('password', subjects.account);
+        recordSessionStart(req);
+        await daoAudit.logEvent({
+          action: 'login.success',
+          actor: auditActor(req),
+          entityType: 'user',
+          entityId: user.id
+        });
+      } catch (err) {
+        return next(err);
+      }
+
+      // Users enrolled in 2FA may now send their TOTP code, or do it later on
       return res.json({
         ...clientUserInfo(req),
-        canDoTotp: true,
         isTotp: false
       });
     });
@@ -133,16 +453,54 @@ app.post('/api/sessions', function(req, res, next) {
 });
 
 //----------------------------------------------------------------------------
-// TOTP verification (2FA)
-app.post('/api/login-totp', isLoggedIn, function(req, res, next) {
-  passport.authenticate('totp', function(err, user, info) {
-    if (err) return next(err);
-    if (!user) return res.status(401).json({ error: 'Invalid TOTP' });
-    
-    req.session.method = 'totp';
-    delete req.session.secondFactor;
-    return res.json(clientUserInfo(req));
-  })(req, res, next);
+// TOTP verification (2FA), refused while the account or the address is locked out
+// Works right after the password login and, as a step-up, at any time later on
+// Body: { code } or, when the authenticator is lost, { recovery_code }
+// After a recovery code, the answer also tells how many are left (recovery_codes_left)
+app.post('/api/login-totp', isLoggedIn, async function(req, res, next) {
+  if (!req.user.canDoTotp) {
+    return res.status(400).json({ error: '2FA is not enabled for this account' });
+  }
+
+  const subjects = attemptSubjects(req, req.user.username);
+  try {
+    const lockout = await daoAttempts.getLockout('totp', [subjects.account, subjects.ip]);
+    if (lockout > 0) return sendLockout(res, lockout);
+
+    const recoveryCode = req.body.recovery_code;
+    let recoveryCodesLeft = null;
+    let accepted;
+    if (recoveryCode) {
+      recoveryCodesLeft = await daoUsers.useRecoveryCode(req.user.id, hashRecoveryCode(recoveryCode));
+      accepted = recoveryCodesLeft !== null;
+    } else {
+      accepted = await verifyTotp(req.user, req.body.code);
+    }
+
+    const method = recoveryCode ? 'recovery_code' : 'totp';
+    await daoAudit.logEvent({
+      action: accepted ? 'totp.success' : 'totp.failure',
+      actor: auditActor(req),
+      entityType: 'user',
+      entityId: req.user.id,
+      after: { method }
+    });
+
+    if (!accepted) {
+      const lockout = await recordFailedAttempt('totp', subjects);
+      if (lockout > 0) return sendLockout(res, lockout);
+      return res.status(401).json({ error: recoveryCode ? 'Invalid recovery code' : 'Invalid TOTP' });
+    }
+
+    await daoAttempts.clearFailures('totp', subjects.account);
+    markSecondFactor(req, method);
+    return res.json({
+      ...clientUserInfo(req),
+      ...(recoveryCode && { recovery_codes_left: recoveryCodesLeft })
+    });
+  } catch (err) {
+    return next(err);
+  }
 });
 
 //----------------------------------------------------------------------------
@@ -156,188 +514,1427 @@ app.get('/api/sessions/current', function(req, res) {
 });
 
 //----------------------------------------------------------------------------
-// Logout
-app.delete('/api/sessions/current', function(req, res) {
+// Logout (the ingredients held by the session go back to the stock)
+app.delete('/api/sessions/current', async function(req, res) {
+  const sessionId = req.sessionID;
+  try {
+    await daoHolds.releaseHolds(sessionId);
+  } catch (err) {
+    console.error('Error releasing holds:', err.message);
+  }
+
   req.logout(function(err) {
     if (err) return res.status(500).json({ error: 'Logout failed' });
     res.json({});
+    publishIngredients();
   });
 });
 
-
-//#############################################################################
-// Restaurant APIs
+//----------------------------------------------------------------------------
+// Helper to send a session of the user to the client
+// (for the current session, its data in memory is newer than the stored one)
+function clientSessionInfo(req, { sid, expiresAt, session }) {
+  const current = sid === req.sessionID;
+  if (current) session = req.session;
+  const toIsoDate = (time) => time ? new Date(time).toISOString() : null;
+  return {
+    id: publicSessionId(sid),
+    current,
+    createdAt: toIsoDate(session.createdAt),
+    lastActivityAt: toIsoDate(session.lastActivityAt),
+    expiresAt: toIsoDate(expiresAt),
+    userAgent: session.userAgent ?? null,
+    ip: session.ip ?? null,
+    isTotp: hasSecondFactor(session),
+    totpMethod: hasSecondFactor(session) ? session.secondFactor.method ?? null : null
+  };
+}
 
 //----------------------------------------------------------------------------
-// Get all dishes (public)
-app.get('/api/dishes', async (req, res) => {
+// List the active sessions of the logged in user, the most recently used first
+app.get('/api/sessions', isLoggedIn, async (req, res) => {
   try {
-    const dishes = await daoDishes.getAllDishes();
-    res.json(dishes);
+    const sessions = (await getUserSessions(req.user.id))
+      .map(userSession => clientSessionInfo(req, userSession))
+      .sort((a, b) => (b.lastActivityAt ?? '').localeCompare(a.lastActivityAt ?? ''));
+    res.json(sessions);
   } catch (err) {
     res.status(500).json({ error: 'Database error' });
   }
 });
 
 //----------------------------------------------------------------------------
-// Get all ingredients (public)
-app.get('/api/ingredients', async (req, res) => {
+// Log out every other session of the logged in user
+// (2FA required from enrolled users, or a stolen password could end the owner's sessions)
+app.delete('/api/sessions/others', isLoggedIn, isTotpIfEnrolled, async (req, res) => {
   try {
-    const ingredients = await daoIngredients.getAllIngredients();
-    res.json(ingredients);
+    const sids = (await getUserSessions(req.user.id))
+      .map(userSession => userSession.sid)
+      .filter(sid => sid !== req.sessionID);
+    await revokeSessions(sids);
+    res.json({ revoked: sids.length });
+    publishIngredients();
   } catch (err) {
     res.status(500).json({ error: 'Database error' });
   }
 });
 
 //----------------------------------------------------------------------------
-// Get user's orders (authentication required)
-app.get('/api/orders', isLoggedIn, async (req, res) => {
+// Log out one of the other sessions of the logged in user, by the id of GET /api/sessions
+// (the current session ends with DELETE /api/sessions/current)
+app.delete('/api/sessions/:id', isLoggedIn, isTotpIfEnrolled, async (req, res) => {
   try {
-    const orders = await daoOrders.getOrdersByUser(req.user.id);
-    res.json(orders);
+    const userSession = (await getUserSessions(req.user.id))
+      .find(({ sid }) => publicSessionId(sid) === req.params.id);
+    if (!userSession) return res.status(404).json({ error: 'Session not found' });
+    if (userSession.sid === req.sessionID) {
+      return res.status(409).json({ error: 'Log out to end the current session' });
+    }
+
+    await revokeSessions([userSession.sid]);
+    res.json({});
+    publishIngredients();
   } catch (err) {
     res.status(500).json({ error: 'Database error' });
   }
 });
 
+
+//#############################################################################
+// Registration and 2FA enrollment APIs
+
+// Name shown in authenticator apps next to the account
+const TOTP_ISSUER = 'Restaurant';
+
 //----------------------------------------------------------------------------
-// Get specific order details (authentication required)
-app.get('/api/orders/:id', isLoggedIn, async (req, res) => {
+// Minimum password policy, shared by sign up, password change and reset
+// (bcrypt only uses the first 72 bytes, so longer passwords are refused)
+function passwordValidation(field) {
+  return body(field).isString()
+    .isLength({min: 8, max: 72}).withMessage('Password must be 8-72 characters long')
+    .matches(/[A-Za-z]/).withMessage('Password must contain at least one letter')
+    .matches(/\d/).withMessage('Password must contain at least one digit')
+    .custom((value, { req }) => value !== (req.body.username ?? req.user?.username))
+    .withMessage('Password must be different from the username');
+}
+
+//----------------------------------------------------------------------------
+// Sign up: create the account and log the new user in
+// The e-mail address is optional, it is only used to reset the password
+app.post('/api/users', [
+  body('username').isString().trim()
+    .matches(/^[A-Za-z0-9._-]{3,30}$/).withMessage('Username must be 3-30 letters, digits, dots, dashes or underscores'),
+  passwordValidation('password'),
+  body('email').optional({values: 'falsy'}).isString().trim().isEmail().withMessage('Valid e-mail address is required')
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
   try {
-    const order = await daoOrders.getOrderDetails(req.params.id);
-    if (!order) return res.status(404).json({ error: 'Order not found' });
-    
-    // Authorization check - ensure user owns this order
-    if (order.user_id !== req.user.id) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-    
-    res.json(order);
+    const id = await daoUsers.createUser(req.body.username, req.body.password, req.body.email);
+    const user = await daoUsers.getUserById(id);
+
+    req.login(user, function(err) {
+      if (err) return next(err);
+      recordSessionStart(req);
+      return res.status(201).json(clientUserInfo(req));
+    });
   } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ error: 'Username or e-mail address is already taken' });
     res.status(500).json({ error: 'Database error' });
   }
 });
 
 //----------------------------------------------------------------------------
-// Create new order (authentication required)
-app.post('/api/orders', isLoggedIn, [
-  body('dish_id').isInt({min: 1}).withMessage('Valid dish ID is required'),
-  body('size').isIn(['small', 'medium', 'large']).withMessage('Valid size is required'),
-  body('ingredients').isArray().withMessage('Ingredients must be an array')
+// Start 2FA enrollment: generate a new secret for the user (authentication required)
+// The secret is kept in the session until the user confirms it with a first code
+app.post('/api/totp/enrollment', isLoggedIn, async (req, res) => {
+  if (req.user.canDoTotp) {
+    return res.status(409).json({ error: '2FA is already enabled for this account' });
+  }
+
+  try {
+    const secret = base32.encode(crypto.randomBytes(20)).toString().replace(/=/g, '');
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${req.user.username}`);
+    const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}`;
+
+    req.session.pendingTotpSecret = secret;
+    res.json({
+      secret,
+      otpauth_uri: otpauthUri,
+      qr_code: await QRCode.toDataURL(otpauthUri)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Cannot generate the QR code' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Confirm 2FA enrollment with a first code from the authenticator app (authentication required)
+// Only then the secret is saved and 2FA becomes required at login
+app.post('/api/totp/enrollment/confirm', isLoggedIn, [
+  body('code').isString().matches(/^\d{6}$/).withMessage('The code must be 6 digits')
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({error: errors.array()});
   }
 
+  const secret = req.session.pendingTotpSecret;
+  if (!secret) {
+    return res.status(409).json({ error: '2FA enrollment has not been started' });
+  }
   try {
-    const { dish_id, size, ingredients } = req.body;
-    
-    // Get ingredient data for validation
-    const ingredientsData = await daoIngredients.getAllIngredients();
-    const selectedIngredients = ingredientsData.filter(ing => ingredients.includes(ing.id));
-    
-    // Validate ingredient count based on size
-    const maxIngredients = { small: 3, medium: 5, large: 7 }[size] || 0;
-    if (selectedIngredients.length > maxIngredients) {
-      return res.status(400).json({ 
-        error: `${size} size can only have ${maxIngredients} ingredients` 
-      });
-    }
-    
-    // Validate ingredient availability
-    for (const ingredient of selectedIngredients) {
-      if (ingredient.availability !== null && ingredient.availability <= 0) {
-        return res.status(400).json({ 
-          error: `${ingredient.name} is currently out of stock (0 available)`,
-          unavailable_ingredient: ingredient.name,
-          current_availability: ingredient.availability
-        });
-      }
-    }
-    
-    // Validate ingredient constraints
-    const selectedNames = selectedIngredients.map(ing => ing.name);
-    for (const ingredient of selectedIngredients) {
-      // Check dependencies
-      if (ingredient.requires && ingredient.requires.length > 0) {
-        for (const required of ingredient.requires) {
-          if (!selectedNames.includes(required)) {
-            return res.status(400).json({ 
-              error: `${ingredient.name} requires ${required}` 
-            });
-          }
-        }
-      }
-      
-      // Check incompatibilities
-      if (ingredient.incompatible && ingredient.incompatible.length > 0) {
-        for (const incompatible of ingredient.incompatible) {
-          if (selectedNames.includes(incompatible)) {
-            return res.status(400).json({ 
-              error: `${ingredient.name} is incompatible with ${incompatible}` 
-            });
-          }
-        }
-      }
-    }
-    
-    // Calculate total price
-    const sizePrice = { small: 5, medium: 7, large: 9 }[size] || 0;
-    const ingredientsPrice = selectedIngredients.reduce((sum, ing) => sum + ing.price, 0);
-    const total = sizePrice + ingredientsPrice;
-    
-    // Create order
-    const orderId = await daoOrders.createOrder(req.user.id, dish_id, size, total, ingredients);
-    
-    // Update ingredient availability for new orders only (not pre-loaded orders)
-    for (const ingredient of selectedIngredients) {
-      if (ingredient.availability !== null) {
-        await daoIngredients.updateIngredientAvailability(ingredient.id, 1);
-      }
+    const step = totpStep(secret, req.body.code);
+    await daoAudit.logEvent({
+      action: step === null ? 'totp.failure' : 'totp.success',
+      actor: auditActor(req),
+      entityType: 'user',
+      entityId: req.user.id,
+      after: { method: 'totp', enrollment: true }
+    });
+    if (step === null) {
+      return res.status(401).json({ error: 'Invalid TOTP' });
     }
-    
-    res.status(201).json({ id: orderId });
+
+    await daoUsers.enableTotp(req.user.id, secret, step);
+    delete req.session.pendingTotpSecret;
+
+    // The user has just proved to own the second factor
+    req.user.secret = secret;
+    req.user.canDoTotp = true;
+    markSecondFactor(req, 'totp');
+    res.json(clientUserInfo(req));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+
+//----------------------------------------------------------------------------
+// Count the recovery codes the user has not used yet (authentication required)
+app.get('/api/totp/recovery-codes', isLoggedIn, async (req, res) => {
+  try {
+    res.json({ remaining: await daoUsers.countRecoveryCodes(req.user.id) });
   } catch (err) {
     res.status(500).json({ error: 'Database error' });
   }
 });
 
 //----------------------------------------------------------------------------
-// Cancel order (TOTP authentication required)
-app.delete('/api/orders/:id', isLoggedIn, isTotp, async (req, res) => {
+// Generate new recovery codes, replacing the previous ones (TOTP authentication required)
+// The codes are returned only this time, the user has to save them
+app.post('/api/totp/recovery-codes', authorize({ totp: true }), async (req, res) => {
   try {
-    const order = await daoOrders.getOrderDetails(req.params.id);
-    if (!order) return res.status(404).json({ error: 'Order not found' });
-    
-    // Authorization check
-    if (order.user_id !== req.user.id) {
-      return res.status(403).json({ error: 'Forbidden' });
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    await daoUsers.replaceRecoveryCodes(req.user.id, codes.map(hashRecoveryCode));
+    res.status(201).json({ codes });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+
+//#############################################################################
+// Password APIs
+
+//----------------------------------------------------------------------------
+// Change the password (authentication required)
+// The current password is always required, and a TOTP code for users enrolled in 2FA
+// (wrong ones count as failed login attempts, see the brute-force protection)
+// The other sessions of the user are logged out, this one stays open
+app.put('/api/users/current/password', isLoggedIn, [
+  body('current_password').isString().notEmpty().withMessage('Current password is required'),
+  passwordValidation('new_password'),
+  body('code').optional().isString().matches(/^\d{6}$/).withMessage('The code must be 6 digits')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  const subjects = attemptSubjects(req, req.user.username);
+  try {
+    const lockout = Math.max(
+      await daoAttempts.getLockout('password', [subjects.account, subjects.ip]),
+      await daoAttempts.getLockout('totp', [subjects.account, subjects.ip])
+    );
+    if (lockout > 0) return sendLockout(res, lockout);
+
+    const user = await daoUsers.getUser(req.user.username, req.body.current_password);
+    if (!user) {
+      const lockout = await recordFailedAttempt('password', subjects);
+      if (lockout > 0) return sendLockout(res, lockout);
+      return res.status(401).json({ error: 'Current password is incorrect' });
     }
-    
-    // Cancel the order
-    await daoOrders.cancelOrder(req.params.id);
-    
-    // Restore ingredient availability
-    if (order.ingredients && order.ingredients.length > 0) {
-      for (const ingredient of order.ingredients) {
-        const ingredientData = await daoIngredients.getIngredientById(ingredient.id);
-        if (ingredientData && ingredientData.availability !== null) {
-          await daoIngredients.restoreIngredientAvailability(ingredient.id, 1);
-        }
+
+    if (user.canDoTotp) {
+      if (!await verifyTotp(user, req.body.code)) {
+        const lockout = await recordFailedAttempt('totp', subjects);
+        if (lockout > 0) return sendLockout(res, lockout);
+        return res.status(401).json({ error: 'Invalid TOTP' });
       }
     }
-    
-    res.json({ message: 'Order cancelled successfully' });
+
+    await daoUsers.updatePassword(user.id, req.body.new_password);
+    await destroyUserSessions(user.id, req.sessionID);
+    res.json({});
   } catch (err) {
     res.status(500).json({ error: 'Database error' });
   }
 });
 
+//----------------------------------------------------------------------------
+// Request a password reset link, sent to the e-mail address of the account
+// The answer is the same whether the account exists or not, so that it cannot
+// be used to find out the usernames
+app.post('/api/password-reset', [
+  body('username').isString().trim().notEmpty().withMessage('Username is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  try {
+    const user = await daoUsers.getUserContact(req.body.username);
+    if (user && user.email) {
+      // Only the hash is stored: a leaked database does not leak usable links
+      const token = crypto.randomBytes(32).toString('hex');
+      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+      const minutes = Math.round(config.resetTokenDuration / 60000);
+      await daoUsers.createResetToken(user.id, tokenHash, config.resetTokenDuration / 1000);
+      await mail.sendMail({
+        to: user.email,
+        subject: 'Reset your Restaurant password',
+        text: `Hi ${user.username},\n\n` +
+          `open this link to choose a new password (it works once, within ${minutes} minutes):\n` +
+          `${config.clientUrl}/reset-password?token=${token}\n\n` +
+          'If you did not ask for it, you can ignore this message.'
+      });
+    }
+    res.json({ message: 'If the account has an e-mail address, a reset link has been sent to it' });
+  } catch (err) {
+    console.error('Error sending the password reset link:', err.message);
+    res.status(500).json({ error: 'Cannot send the reset link' });
+  }
+});
 
 //----------------------------------------------------------------------------
-// Start the server
-app.listen(port, () => {
-  console.log(`Server running on http://localhost:${port}`);
+// Choose a new password with the token of a reset link
+// Every session of the user is logged out, the user has to log in again
+app.post('/api/password-reset/confirm', [
+  body('token').isString().matches(/^[0-9a-f]{64}$/).withMessage('Invalid or expired reset link'),
+  passwordValidation('password')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  try {
+    const tokenHash = crypto.createHash('sha256').update(req.body.token).digest('hex');
+    const userId = await daoUsers.resetPassword(tokenHash, req.body.password);
+    if (userId === null) return res.status(400).json({ error: 'Invalid or expired reset link' });
+
+    await destroyUserSessions(userId, null);
+    res.json({});
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
 });
+
+
+//#############################################################################
+// Restaurant APIs
+
+//----------------------------------------------------------------------------
+// Helper to send a part of the menu with its validator (ETag)
+// When the browser already has this version (If-None-Match), it gets 304 and no body
+// Cache-Control: no-cache makes browsers and proxies check the validator every time
+// If-None-Match is compared here rather than through req.fresh, which ignores it when
+// the request says Cache-Control: no-cache, as fetch does for the client's polls
+// (weak comparison: W/ prefixes do not count)
+function sendMenu(req, res, etag, data) {
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'no-cache');
+
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  const candidates = (req.get('If-None-Match') || '').split(',').filter(tag => tag.trim());
+  if (candidates.some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag))) res.status(304).end();
+  else res.json(data);
+}
+
+//----------------------------------------------------------------------------
+// Get all dishes with their sizes, prices and ingredient limits (public)
+// Served from the menu cache, with an ETag
+app.get('/api/dishes', async (req, res) => {
+  try {
+    const dishes = await menuCache.get('dishes', daoDishes.getAllDishes);
+    sendMenu(req, res, `W/"${dishes.tag}"`, dishes.data);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Helper to add to every ingredient the units set aside by the active holds:
+// reserved are held by other sessions, held are held by the given session
+// (availability stays the quantity on hand)
+function withReservations(ingredients, holds, sessionId) {
+  return ingredients.map(ingredient => {
+    let reserved = 0;
+    let held = 0;
+    for (const hold of holds) {
+      if (hold.ingredient_id !== ingredient.id) continue;
+      if (hold.session_id === sessionId) held += hold.quantity;
+      else reserved += hold.quantity;
+    }
+    return { ...ingredient, reserved, held };
+  });
+}
+
+//----------------------------------------------------------------------------
+// Get all ingredients with the units on hand and the ones reserved (public)
+// The ingredients come from the menu cache; the holds change on their own (and expire),
+// so they are read every time and the ETag covers the units they set aside
+app.get('/api/ingredients', async (req, res) => {
+  try {
+    const [ingredients, holds] = await Promise.all([
+      menuCache.get('ingredients', daoIngredients.getAllIngredients),
+      daoHolds.getActiveHolds()
+    ]);
+    const data = withReservations(ingredients.data, holds, req.sessionID);
+    const reservations = crypto.createHash('sha256')
+      .update(JSON.stringify(data.map(ingredient => [ingredient.reserved, ingredient.held])))
+      .digest('base64url')
+      .slice(0, 16);
+    sendMenu(req, res, `W/"${ingredients.tag}-${reservations}"`, data);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Live updates stream (server-sent events, public)
+// Everybody gets ingredient availability changes, logged in users also get the
+// status changes of their own orders
+app.get('/api/events', async (req, res) => {
+  const client = events.subscribe(req, res, req.isAuthenticated() ? req.user.id : null);
+
+  // Start from the current stock, the stream only carries changes afterwards
+  try {
+    const [ingredients, holds] = await Promise.all([
+      menuCache.get('ingredients', daoIngredients.getAllIngredients),
+      daoHolds.getActiveHolds()
+    ]);
+    events.sendTo(client, 'ingredients', withReservations(ingredients.data, holds, client.sessionId));
+  } catch (err) {
+    console.error('Error sending ingredients:', err.message);
+  }
+});
+
+//----------------------------------------------------------------------------
+// Helper to push the current ingredient list to every live updates stream
+// Called after anything that changes stock, holds or ingredients, failures are only logged
+async function publishIngredients() {
+  try {
+    const [ingredients, holds] = await Promise.all([
+      menuCache.get('ingredients', daoIngredients.getAllIngredients),
+      daoHolds.getActiveHolds()
+    ]);
+    events.broadcast('ingredients', client => withReservations(ingredients.data, holds, client.sessionId));
+  } catch (err) {
+    console.error('Error publishing ingredients:', err.message);
+  }
+}
+
+//----------------------------------------------------------------------------
+// Helper to push an order to the live updates streams of its owner
+async function publishOrderStatus(orderId) {
+  try {
+    events.notifyOrderStatus(await daoOrders.getOrderDetails(orderId));
+  } catch (err) {
+    console.error('Error publishing order status:', err.message);
+  }
+}
+
+//----------------------------------------------------------------------------
+// Pages of the order history: their default and maximum size
+const ORDERS_PAGE_SIZE = 10;
+const ORDERS_MAX_PAGE_SIZE = 50;
+const ORDER_STATUSES = ['confirmed', 'preparing', 'ready', 'collected', 'cancelled'];
+
+// Helpers to turn the last order of a page into the opaque cursor of the next page and back
+// The cursor remembers the sort it was made for, decodeOrdersCursor returns null if it is invalid
+function encodeOrdersCursor(order, sort) {
+  const cursor = { sort, value: daoOrders.getSortValue(order, sort), id: order.id };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeOrdersCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.sort !== sort || !Number.isInteger(decoded.id)) return null;
+    if (!['string', 'number'].includes(typeof decoded.value)) return null;
+    return { value: decoded.value, id: decoded.id };
+  } catch (err) {
+    return null;
+  }
+}
+
+//----------------------------------------------------------------------------
+// Get one page of the user's orders (authentication required)
+// Query: status (one or more, comma-separated), dish_id, size, from and to (ISO 8601 dates,
+// to excluded), sort (date_desc, date_asc, total_desc or total_asc), limit, and cursor
+// (the next_cursor of the previous page, with the same filters and sort)
+// Returns { orders, next_cursor }, next_cursor is null on the last page
+app.get('/api/orders', isLoggedIn, [
+  query('status').optional().isString()
+    .custom(value => value.split(',').every(status => ORDER_STATUSES.includes(status)))
+    .withMessage(`Status must be among ${ORDER_STATUSES.join(', ')}`),
+  query('dish_id').optional().isInt({min: 1}).withMessage('dish_id must be a positive integer').toInt(),
+  query('size').optional().isString().trim().notEmpty().withMessage('Invalid size'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('sort').optional().isIn(daoOrders.ORDER_SORTS).withMessage(`sort must be one of ${daoOrders.ORDER_SORTS.join(', ')}`),
+  query('limit').optional().isInt({min: 1, max: ORDERS_MAX_PAGE_SIZE})
+    .withMessage(`limit must be between 1 and ${ORDERS_MAX_PAGE_SIZE}`).toInt(),
+  query('cursor').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  // (req.query is parsed again on every access, so the sanitized values come from matchedData)
+  const filters = matchedData(req, { locations: ['query'] });
+  const sort = filters.sort || 'date_desc';
+  let after = null;
+  if (filters.cursor !== undefined) {
+    after = decodeOrdersCursor(filters.cursor, sort);
+    if (!after) return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  try {
+    const limit = filters.limit ?? ORDERS_PAGE_SIZE;
+    const { orders, hasMore } = await daoOrders.getOrdersByUser(req.user.id, {
+      statuses: filters.status?.split(','),
+      dishId: filters.dish_id,
+      size: filters.size,
+      from: filters.from,
+      to: filters.to,
+      sort,
+      after,
+      limit
+    });
+    res.json({
+      orders,
+      next_cursor: hasMore ? encodeOrdersCursor(orders[orders.length - 1], sort) : null
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Get the orders the kitchen still has to handle, oldest first (staff only, TOTP authentication required)
+app.get('/api/kitchen/orders', authorize({ roles: STAFF_ROLES, totp: true }), async (req, res) => {
+  try {
+    const orders = await daoOrders.getActiveOrders();
+    res.json(orders);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Get specific order details (authentication required)
+// Customers can only see their own orders, managers can see any order
+// (after completing 2FA, like the other staff routes)
+app.get('/api/orders/:id', isLoggedIn, async (req, res) => {
+  try {
+    const order = await daoOrders.getOrderDetails(req.params.id);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    
+    // Authorization check - ensure user owns this order (or is a manager)
+    if (order.user_id !== req.user.id) {
+      if (req.user.role !== ROLES.MANAGER) return res.status(403).json({ error: 'Forbidden' });
+      if (!hasSecondFactor(req.session)) return res.status(401).json({ error: 'TOTP authentication required' });
+    }
+    
+    res.json(order);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Helper to follow the dependency chains of an ingredient
+// (e.g. parmesan -> mozzarella -> tomatoes -> olives)
+// Returns every ingredient it needs, directly or not, with the chain leading to it
+function getRequiredIngredients(ingredient, ingredientsData) {
+  const required = [];
+  const visited = new Set([ingredient.name]);
+  const queue = [{ name: ingredient.name, path: [ingredient.name] }];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const currentIngredient = ingredientsData.find(ing => ing.name === current.name);
+    for (const requiredName of currentIngredient?.requires || []) {
+      if (visited.has(requiredName)) continue;
+      visited.add(requiredName);
+      const path = [...current.path, requiredName];
+      required.push({ name: requiredName, path });
+      queue.push({ name: requiredName, path });
+    }
+  }
+
+  return required;
+}
+
+//----------------------------------------------------------------------------
+// Helper to check if two ingredients are incompatible
+// Incompatibilities are stored one way only (e.g. eggs -> mushrooms), so both directions are checked
+function areIncompatible(first, second) {
+  return (first.incompatible || []).includes(second.name) || (second.incompatible || []).includes(first.name);
+}
+
+//----------------------------------------------------------------------------
+// Helper to validate a single configured dish of an order and compute its price
+// Returns { violations, dish_name, base_price, ingredients, auto_added, price }:
+// every rule the dish breaks is listed in violations as { item, type, message, ... },
+// auto_added lists the required ingredients the dish is missing, and the prices
+// are null when the dish or size is unknown
+function checkOrderItem(item, index, dishes, ingredientsData) {
+  const violations = [];
+  const addViolation = (type, message, details = {}) => {
+    violations.push({ item: index, type, message, ...details });
+  };
+
+  const dish = dishes.find(d => d.id === item.dish_id);
+  if (!dish) {
+    addViolation('unknown_dish', `Dish ${item.dish_id} does not exist`, { dish_id: item.dish_id });
+    return { violations, dish_name: null, base_price: null, ingredients: [], auto_added: [], price: null };
+  }
+
+  const sizeInfo = dish.sizes.find(s => s.size === item.size);
+  if (!sizeInfo) {
+    addViolation('unknown_size', `${dish.name} is not available in ${item.size} size`, { size: item.size });
+  }
+
+  const selectedIngredients = ingredientsData.filter(ing => item.ingredients.some(sel => sel.id === ing.id));
+  for (const { id } of item.ingredients) {
+    if (!selectedIngredients.some(ing => ing.id === id)) {
+      addViolation('unknown_ingredient', `${dish.name}: ingredient ${id} does not exist`, { ingredient_id: id });
+    }
+  }
+  const getQuantity = (ingredient) => item.ingredients.find(sel => sel.id === ingredient.id).quantity;
+
+  // Validate ingredient count based on size
+  // Every portion takes a slot, so double mozzarella counts as two ingredients
+  const portions = selectedIngredients.reduce((sum, ing) => sum + getQuantity(ing), 0);
+  if (sizeInfo && portions > sizeInfo.max_ingredients) {
+    addViolation('too_many_ingredients',
+      `${dish.name}: ${item.size} size can only have ${sizeInfo.max_ingredients} ingredients (extra portions included)`,
+      { max_ingredients: sizeInfo.max_ingredients, count: portions });
+  }
+
+  // Validate dependencies, following the whole chain of each ingredient
+  const selectedNames = selectedIngredients.map(ing => ing.name);
+  const missingNames = new Set();
+  for (const ingredient of selectedIngredients) {
+    for (const required of getRequiredIngredients(ingredient, ingredientsData)) {
+      if (!selectedNames.includes(required.name)) {
+        missingNames.add(required.name);
+        const chain = required.path.length > 2 ? ` (${required.path.join(' → ')})` : '';
+        addViolation('missing_dependency',
+          `${dish.name}: ${ingredient.name} requires ${required.name}${chain}`,
+          { ingredient: ingredient.name, requires: required.name, path: required.path });
+      }
+    }
+  }
+
+  // Validate incompatibilities, reporting each pair once
+  for (let i = 0; i < selectedIngredients.length; i++) {
+    for (let j = i + 1; j < selectedIngredients.length; j++) {
+      const [first, second] = [selectedIngredients[i], selectedIngredients[j]];
+      if (areIncompatible(first, second)) {
+        addViolation('incompatible',
+          `${dish.name}: ${first.name} is incompatible with ${second.name}`,
+          { ingredients: [first.name, second.name] });
+      }
+    }
+  }
+
+  // Calculate the price of the dish
+  // Ingredient prices are per portion
+  const toPriceLine = (ing, quantity) => ({ id: ing.id, name: ing.name, price: ing.price, quantity });
+  const priceLines = selectedIngredients.map(ing => toPriceLine(ing, getQuantity(ing)));
+  return {
+    violations,
+    dish_name: dish.name,
+    base_price: sizeInfo ? sizeInfo.price : null,
+    ingredients: priceLines,
+    auto_added: ingredientsData.filter(ing => missingNames.has(ing.name)).map(ing => toPriceLine(ing, 1)),
+    price: sizeInfo ? prices.dishPrice(sizeInfo.price, priceLines) : null
+  };
+}
+
+//----------------------------------------------------------------------------
+// Helper to validate and price a whole order without writing anything
+// It is shared by POST /api/orders and POST /api/orders/quote, so the price
+// quoted to the client is always the one charged
+async function quoteOrder(items, sessionId) {
+  // Get dish and ingredient data for validation
+  const [{ data: dishes }, { data: allIngredients }, holds] = await Promise.all([
+    menuCache.get('dishes', daoDishes.getAllDishes),
+    menuCache.get('ingredients', daoIngredients.getAllIngredients),
+    daoHolds.getActiveHolds()
+  ]);
+  const ingredientsData = withReservations(allIngredients, holds, sessionId);
+
+  // Validate and price every dish of the order, collecting all the violations
+  const violations = [];
+  const quotedItems = items.map((item, index) => {
+    const checked = checkOrderItem(item, index, dishes, ingredientsData);
+    violations.push(...checked.violations);
+    return {
+      dish_id: item.dish_id,
+      dish_name: checked.dish_name,
+      size: item.size,
+      base_price: checked.base_price,
+      ingredients: checked.ingredients,
+      auto_added: checked.auto_added,
+      price: checked.price
+    };
+  });
+
+  // Check the current stock against the portions used by the whole order
+  // (units held by other sessions are not available, the ones held by this session are)
+  const usage = new Map();
+  for (const item of items) {
+    for (const { id, quantity } of item.ingredients) {
+      usage.set(id, (usage.get(id) || 0) + quantity);
+    }
+  }
+  const exhausted = [];
+  for (const [ingredientId, quantity] of usage) {
+    const ingredient = ingredientsData.find(ing => ing.id === ingredientId);
+    if (ingredient && ingredient.availability !== null && ingredient.availability - ingredient.reserved < quantity) {
+      exhausted.push({
+        id: ingredient.id,
+        name: ingredient.name,
+        availability: ingredient.availability,
+        reserved: ingredient.reserved,
+        requested: quantity
+      });
+    }
+  }
+
+  return {
+    items: quotedItems,
+    total: prices.total(quotedItems.map(item => item.price || 0)),
+    violations: violations,
+    exhausted_ingredients: exhausted,
+    valid: violations.length === 0 && exhausted.length === 0
+  };
+}
+
+//----------------------------------------------------------------------------
+// Helper to read the dishes of an order from the request body
+// An ingredient is either an ID (one portion) or { id, quantity }; when the same
+// ingredient is listed more than once in a dish, its portions are added up
+function getOrderItems(req) {
+  return req.body.items.map(item => {
+    const portions = new Map();
+    for (const ingredient of item.ingredients) {
+      const id = typeof ingredient === 'object' ? ingredient.id : ingredient;
+      const quantity = typeof ingredient === 'object' ? (ingredient.quantity ?? 1) : 1;
+      portions.set(id, (portions.get(id) || 0) + quantity);
+    }
+    return {
+      dish_id: item.dish_id,
+      size: item.size,
+      ingredients: [...portions].map(([id, quantity]) => ({ id, quantity }))
+    };
+  });
+}
+
+// Validation rules shared by order creation and order quotes
+const orderValidation = [
+  body('items').isArray({min: 1}).withMessage('At least one dish is required'),
+  body('items.*.dish_id').isInt({min: 1}).toInt().withMessage('Valid dish ID is required'),
+  body('items.*.size').isString().notEmpty().withMessage('Valid size is required'),
+  body('items.*.ingredients').isArray().withMessage('Ingredients must be an array'),
+  body('items.*.ingredients.*')
+    .custom(value => Number.isInteger(value) ? value >= 1 : Number.isInteger(value?.id) && value.id >= 1)
+    .withMessage('Valid ingredient ID is required'),
+  body('items.*.ingredients.*.quantity').optional().isInt({min: 1}).toInt().withMessage('Quantity must be at least 1')
+];
+
+//----------------------------------------------------------------------------
+// Quote an order: same validation and pricing as order creation, nothing is written
+// (authentication required)
+app.post('/api/orders/quote', isLoggedIn, orderValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  try {
+    const quote = await quoteOrder(getOrderItems(req), req.sessionID);
+    res.json(quote);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Create new order with one or more dishes (authentication required)
+app.post('/api/orders', isLoggedIn, orderValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  try {
+    const items = getOrderItems(req);
+
+    // Validate and price every dish of the order
+    const quote = await quoteOrder(items, req.sessionID);
+    if (quote.violations.length > 0) {
+      return res.status(400).json({
+        error: quote.violations.map(v => v.message).join('; '),
+        violations: quote.violations
+      });
+    }
+    if (quote.exhausted_ingredients.length > 0) {
+      return res.status(409).json({
+        error: `Not enough stock for: ${quote.exhausted_ingredients.map(ing => ing.name).join(', ')}`,
+        exhausted_ingredients: quote.exhausted_ingredients
+      });
+    }
+
+    // Create order, its dishes and stock decrements in a single transaction
+    // (stock is checked again there, it may have changed since the quote;
+    // the units this session holds can be used, the ones held by others cannot)
+    // The order records the names and prices of the quote, the ones its total comes from
+    const result = await daoOrders.createOrder(req.user.id, quote.items, quote.total, req.sessionID, auditActor(req));
+
+    if (result.exhausted) {
+      // Nothing was written: report every ingredient that ran short
+      const freshIngredients = await daoIngredients.getAllIngredients();
+      const exhausted = freshIngredients
+        .filter(ing => result.exhausted.includes(ing.id))
+        .map(ing => ({ id: ing.id, name: ing.name, availability: ing.availability }));
+      return res.status(409).json({
+        error: `Not enough stock for: ${exhausted.map(ing => ing.name).join(', ')}`,
+        exhausted_ingredients: exhausted
+      });
+    }
+
+    res.status(201).json({ id: result.id });
+    publishIngredients();
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Cancel order (TOTP authentication required)
+app.delete('/api/orders/:id', authorize({ totp: true }), async (req, res) => {
+  try {
+    const order = await daoOrders.getOrderDetails(req.params.id);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    
+    // Authorization check
+    if (order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    
+    // Customers can only cancel before the kitchen starts preparing the order
+    if (order.status === 'cancelled') {
+      return res.status(409).json({ error: 'Order is already cancelled' });
+    }
+    if (order.status !== 'confirmed') {
+      return res.status(409).json({ error: 'Order can no longer be cancelled, its preparation has started' });
+    }
+
+    // Cancel the order and restore ingredient availability in a single transaction
+    // (the status is checked again there, the kitchen may have just picked it up)
+    const cancelled = await daoOrders.cancelOrder(order.id, auditActor(req));
+    if (!cancelled) {
+      return res.status(409).json({ error: 'Order can no longer be cancelled' });
+    }
+    
+    res.json({ message: 'Order cancelled successfully' });
+    publishIngredients();
+    publishOrderStatus(order.id);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+
+//----------------------------------------------------------------------------
+// How long the ingredients selected by a customer stay set aside for them
+// (the configurator renews its holds well before they expire)
+const HOLD_DURATION_SECONDS = 5 * 60;
+
+//----------------------------------------------------------------------------
+// Set aside the limited ingredients the customer is configuring (authentication required)
+// The body lists every ingredient the session needs with its portions: it replaces
+// the previous holds, so deselected ingredients are released
+app.put('/api/holds', isLoggedIn, [
+  body('ingredients').isArray().withMessage('Ingredients must be an array'),
+  body('ingredients.*.id').isInt({min: 1}).toInt().withMessage('Valid ingredient ID is required'),
+  body('ingredients.*.quantity').isInt({min: 1}).toInt().withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  try {
+    const result = await daoHolds.saveHolds(req.sessionID, req.body.ingredients, HOLD_DURATION_SECONDS);
+    res.json(result);
+    publishIngredients();
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Release every ingredient held by the session (authentication required)
+app.delete('/api/holds', isLoggedIn, async (req, res) => {
+  try {
+    await daoHolds.releaseHolds(req.sessionID);
+    res.json({});
+    publishIngredients();
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Give expired holds back to the stock every minute
+setInterval(async () => {
+  try {
+    const released = await daoHolds.releaseExpiredHolds();
+    if (released > 0) publishIngredients();
+  } catch (err) {
+    console.error('Error releasing expired holds:', err.message);
+  }
+}, 60 * 1000).unref();
+
+//----------------------------------------------------------------------------
+// Order lifecycle: the status each status moves to (cancelled and collected are final)
+const NEXT_ORDER_STATUS = {
+  confirmed: 'preparing',
+  preparing: 'ready',
+  ready: 'collected'
+};
+
+//----------------------------------------------------------------------------
+// Move an order to the next step of its lifecycle (staff only, TOTP authentication required)
+app.patch('/api/orders/:id/status', authorize({ roles: STAFF_ROLES, totp: true }), [
+  param('id').isInt({min: 1}).toInt().withMessage('Valid order ID is required'),
+  body('status').isIn(Object.values(NEXT_ORDER_STATUS)).withMessage('Status must be preparing, ready or collected')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  try {
+    const order = await daoOrders.getOrderDetails(req.params.id);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    if (NEXT_ORDER_STATUS[order.status] !== req.body.status) {
+      return res.status(409).json({ error: `Order cannot go from ${order.status} to ${req.body.status}` });
+    }
+
+    // The order may have been cancelled or moved on since it was read
+    const updated = await daoOrders.updateOrderStatus(order.id, order.status, req.body.status);
+    if (!updated) {
+      return res.status(409).json({ error: 'Order status has changed, please reload it' });
+    }
+
+    const updatedOrder = await daoOrders.getOrderDetails(order.id);
+    res.json(updatedOrder);
+    events.notifyOrderStatus(updatedOrder);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+
+//#############################################################################
+// Menu management APIs (staff only, TOTP authentication required)
+
+// Helper to tell unique constraint violations apart from other database errors
+function isConstraintError(err) {
+  return err && err.code === 'SQLITE_CONSTRAINT';
+}
+
+// Validation rules shared by dish creation and update
+const dishValidation = [
+  body('name').isString().trim().notEmpty().withMessage('Dish name is required')
+];
+
+// Validation rules for a dish size
+const dishSizeValidation = [
+  param('id').isInt({min: 1}).toInt().withMessage('Valid dish ID is required'),
+  param('size').isString().trim().notEmpty().withMessage('Valid size is required'),
+  body('price').isFloat({min: 0}).toFloat().withMessage('Price must be a non-negative number'),
+  body('max_ingredients').isInt({min: 0}).toInt().withMessage('Ingredient limit must be a non-negative integer')
+];
+
+// Validation rules shared by ingredient creation and update
+// (a null availability means the ingredient is unlimited)
+const ingredientValidation = [
+  body('name').isString().trim().notEmpty().withMessage('Ingredient name is required'),
+  body('price').isFloat({min: 0}).toFloat().withMessage('Price must be a non-negative number'),
+  body('availability').optional({values: 'null'}).isInt({min: 0}).toInt().withMessage('Availability must be a non-negative integer or null')
+];
+
+// Validation rules for a constraint between two ingredients
+function ingredientPairValidation(location, field) {
+  return [
+    param('id').isInt({min: 1}).toInt().withMessage('Valid ingredient ID is required'),
+    location(field).isInt({min: 1}).toInt().withMessage('Valid ingredient ID is required')
+  ];
+}
+
+//----------------------------------------------------------------------------
+// Create a dish (sizes are added separately)
+app.post('/api/dishes', authorize({ roles: STAFF_ROLES, totp: true }), dishValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  try {
+    const id = await daoDishes.createDish(req.body.name);
+    res.status(201).json({ id });
+  } catch (err) {
+    if (isConstraintError(err)) return res.status(409).json({ error: 'A dish with this name already exists' });
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Rename a dish
+app.put('/api/dishes/:id', authorize({ roles: STAFF_ROLES, totp: true }),
+  [param('id').isInt({min: 1}).toInt().withMessage('Valid dish ID is required'), ...dishValidation],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({error: errors.array()});
+    }
+
+    try {
+      const updated = await daoDishes.updateDish(req.params.id, req.body.name);
+      if (!updated) return res.status(404).json({ error: 'Dish not found' });
+      res.json({ id: req.params.id });
+    } catch (err) {
+      if (isConstraintError(err)) return res.status(409).json({ error: 'A dish with this name already exists' });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+//----------------------------------------------------------------------------
+// Delete a dish with its sizes (refused if some order contains it: it can be retired instead)
+app.delete('/api/dishes/:id', authorize({ roles: STAFF_ROLES, totp: true }),
+  param('id').isInt({min: 1}).toInt().withMessage('Valid dish ID is required'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({error: errors.array()});
+    }
+
+    try {
+      const dish = await daoDishes.getDishById(req.params.id);
+      if (!dish) return res.status(404).json({ error: 'Dish not found' });
+
+      const deleted = await daoDishes.deleteDish(req.params.id);
+      if (!deleted) return res.status(409).json({ error: 'Dish is part of existing orders: retire it instead' });
+      res.status(204).end();
+    } catch (err) {
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+//----------------------------------------------------------------------------
+// Retire a dish: it leaves the menu and cannot be ordered, past orders still show it
+app.post('/api/dishes/:id/retire', authorize({ roles: STAFF_ROLES, totp: true }),
+  param('id').isInt({min: 1}).toInt().withMessage('Valid dish ID is required'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({error: errors.array()});
+    }
+
+    try {
+      const dish = await daoDishes.getDishById(req.params.id);
+      if (!dish) return res.status(404).json({ error: 'Dish not found' });
+
+      const retired = await daoDishes.retireDish(req.params.id, auditActor(req));
+      if (!retired) return res.status(409).json({ error: 'Dish is already retired' });
+      res.json({ id: req.params.id });
+    } catch (err) {
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+//----------------------------------------------------------------------------
+// Put a retired dish back on the menu
+app.post('/api/dishes/:id/restore', authorize({ roles: STAFF_ROLES, totp: true }),
+  param('id').isInt({min: 1}).toInt().withMessage('Valid dish ID is required'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({error: errors.array()});
+    }
+
+    try {
+      const dish = await daoDishes.getDishById(req.params.id);
+      if (!dish) return res.status(404).json({ error: 'Dish not found' });
+
+      const restored = await daoDishes.restoreDish(req.params.id, auditActor(req));
+      if (!restored) return res.status(409).json({ error: 'Dish is not retired' });
+      res.json({ id: req.params.id });
+    } catch (err) {
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+//----------------------------------------------------------------------------
+// Add a size to a dish, or change its price and ingredient limit
+app.put('/api/dishes/:id/sizes/:size', authorize({ roles: STAFF_ROLES, totp: true }), dishSizeValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  try {
+    const dish = await daoDishes.getDishById(req.params.id);
+    if (!dish) return res.status(404).json({ error: 'Dish not found' });
+
+    await daoDishes.saveDishSize(req.params.id, req.params.size, req.body.price, req.body.max_ingredients);
+    res.json({ dish_id: req.params.id, size: req.params.size, price: req.body.price, max_ingredients: req.body.max_ingredients });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Remove a size from a dish
+app.delete('/api/dishes/:id/sizes/:size', authorize({ roles: STAFF_ROLES, totp: true }), dishSizeValidation.slice(0, 2), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  try {
+    const deleted = await daoDishes.deleteDishSize(req.params.id, req.params.size);
+    if (!deleted) return res.status(404).json({ error: 'Size not found' });
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Create an ingredient
+app.post('/api/ingredients', authorize({ roles: STAFF_ROLES, totp: true }), ingredientValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  try {
+    const id = await daoIngredients.createIngredient(req.body.name, req.body.price, req.body.availability ?? null, auditActor(req));
+    res.status(201).json({ id });
+    publishIngredients();
+  } catch (err) {
+    if (isConstraintError(err)) return res.status(409).json({ error: 'An ingredient with this name already exists' });
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+//----------------------------------------------------------------------------
+// Update name, price and availability of an ingredient
+app.put('/api/ingredients/:id', authorize({ roles: STAFF_ROLES, totp: true }),
+  [param('id').isInt({min: 1}).toInt().withMessage('Valid ingredient ID is required'), ...ingredientValidation],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({error: errors.array()});
+    }
+
+    try {
+      const { name, price } = req.body;
+      const availability = req.body.availability ?? null;
+      const updated = await daoIngredients.updateIngredient(req.params.id, name, price, availability, auditActor(req));
+      if (!updated) return res.status(404).json({ error: 'Ingredient not found' });
+      res.json({ id: req.params.id, name, price, availability });
+      publishIngredients();
+    } catch (err) {
+      if (isConstraintError(err)) return res.status(409).json({ error: 'An ingredient with this name already exists' });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+//----------------------------------------------------------------------------
+// Delete an ingredient with its constraints (refused if some order contains it: it can be
+// retired instead)
+app.delete('/api/ingredients/:id', authorize({ roles: STAFF_ROLES, totp: true }),
+  param('id').isInt({min: 1}).toInt().withMessage('Valid ingredient ID is required'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({error: errors.array()});
+    }
+
+    try {
+      const ingredient = await daoIngredients.getIngredientById(req.params.id);
+      if (!ingredient) return res.status(404).json({ error: 'Ingredient not found' });
+
+      const deleted = await daoIngredients.deleteIngredient(req.params.id, auditActor(req));
+      if (!deleted) return res.status(409).json({ error: 'Ingredient is part of existing orders: retire it instead' });
+      res.status(204).end();
+      publishIngredients();
+    } catch (err) {
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+//----------------------------------------------------------------------------
+// Retire an ingredient: it leaves the menu and cannot be ordered, past orders still show it
+// Its dependencies and incompatibilities are ignored while it is retired, so the ingredients
+// that require it can be ordered without it: the response lists them as warnings
+app.post('/api/ingredients/:id/retire', authorize({ roles: STAFF_ROLES, totp: true }),
+  param('id').isInt({min: 1}).toInt().withMessage('Valid ingredient ID is required'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({error: errors.array()});
+    }
+
+    try {
+      const ingredient = await daoIngredients.getIngredientById(req.params.id);
+      if (!ingredient) return res.status(404).json({ error: 'Ingredient not found' });
+
+      const dependents = (await daoIngredients.getAllIngredients())
+        .filter(ing => ing.requires.includes(ingredient.name));
+
+      const retired = await daoIngredients.retireIngredient(req.params.id, auditActor(req));
+      if (!retired) return res.status(409).json({ error: 'Ingredient is already retired' });
+      res.json({
+        id: req.params.id,
+        warnings: dependents.map(ing =>
+          `${ing.name} requires ${ingredient.name}, which cannot be ordered anymore: ` +
+          `the requirement is ignored while ${ingredient.name} is retired`)
+      });
+      publishIngredients();
+    } catch (err) {
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+//----------------------------------------------------------------------------
+// Put a retired ingredient back on the menu, with its dependencies and incompatibilities
+app.post('/api/ingredients/:id/restore', authorize({ roles: STAFF_ROLES, totp: true }),
+  param('id').isInt({min: 1}).toInt().withMessage('Valid ingredient ID is required'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({error: errors.array()});
+    }
+
+    try {
+      const ingredient = await daoIngredients.getIngredientById(req.params.id);
+      if (!ingredient) return res.status(404).json({ error: 'Ingredient not found' });
+
+      const restored = await daoIngredients.restoreIngredient(req.params.id, auditActor(req));
+      if (!restored) return res.status(409).json({ error: 'Ingredient is not retired' });
+      res.json({ id: req.params.id });
+      publishIngredients();
+    } catch (err) {
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+//----------------------------------------------------------------------------
+// Helper to check that both ingredients of a constraint exist, differ and are not retired
+// Sends the error response and returns false when they do not
+async function checkIngredientPair(res, ingredientId, otherId) {
+  if (ingredientId === otherId) {
+    res.status(400).json({ error: 'An ingredient cannot be constrained with itself' });
+    return false;
+  }
+  const [ingredient, other] = await Promise.all([
+    daoIngredients.getIngredientById(ingredientId),
+    daoIngredients.getIngredientById(otherId)
+  ]);
+  if (!ingredient || !other) {
+    res.status(404).json({ error: 'Ingredient not found' });
+    return false;
+  }
+  if (ingredient.retired_at || other.retired_at) {
+    res.status(409).json({ error: 'Retired ingredients cannot get new constraints' });
+    return false;
+  }
+  return true;
+}
+
+//----------------------------------------------------------------------------
+// Make an ingredient require another one
+app.post('/api/ingredients/:id/dependencies', authorize({ roles: STAFF_ROLES, totp: true }),
+  ingredientPairValidation(body, 'required_id'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({error: errors.array()});
+    }
+
+    try {
+      if (!await checkIngredientPair(res, req.params.id, req.body.required_id)) return;
+
+      // A dependency going the other way would make both ingredients impossible to order
+      const ingredients = await daoIngredients.getAllIngredients();
+      const required = ingredients.find(ing => ing.id === req.body.required_id);
+      const dependent = ingredients.find(ing => ing.id === req.params.id);
+      if (getRequiredIngredients(required, ingredients).some(dep => dep.name === dependent.name)) {
+        return res.status(409).json({ error: `${required.name} already requires ${dependent.name}` });
+      }
+
+      const added = await daoIngredients.addDependency(req.params.id, req.body.required_id, auditActor(req));
+      if (!added) return res.status(409).json({ error: 'Dependency already exists' });
+      res.status(201).json({ dependent_id: req.params.id, required_id: req.body.required_id });
+      publishIngredients();
+    } catch (err) {
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+//----------------------------------------------------------------------------
+// Remove a dependency
+app.delete('/api/ingredients/:id/dependencies/:requiredId', authorize({ roles: STAFF_ROLES, totp: true }),
+  ingredientPairValidation(param, 'requiredId'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({error: errors.array()});
+    }
+
+    try {
+      const removed = await daoIngredients.removeDependency(req.params.id, req.params.requiredId, auditActor(req));
+      if (!removed) return res.status(404).json({ error: 'Dependency not found' });
+      res.status(204).end();
+      publishIngredients();
+    } catch (err) {
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+//----------------------------------------------------------------------------
+// Make two ingredients incompatible with each other
+app.post('/api/ingredients/:id/incompatibilities', authorize({ roles: STAFF_ROLES, totp: true }),
+  ingredientPairValidation(body, 'incompatible_id'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({error: errors.array()});
+    }
+
+    try {
+      if (!await checkIngredientPair(res, req.params.id, req.body.incompatible_id)) return;
+
+      const added = await daoIngredients.addIncompatibility(req.params.id, req.body.incompatible_id, auditActor(req));
+      if (!added) return res.status(409).json({ error: 'Incompatibility already exists' });
+      res.status(201).json({ ingredient_id: req.params.id, incompatible_id: req.body.incompatible_id });
+      publishIngredients();
+    } catch (err) {
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+//----------------------------------------------------------------------------
+// Remove an incompatibility (in either direction)
+app.delete('/api/ingredients/:id/incompatibilities/:otherId', authorize({ roles: STAFF_ROLES, totp: true }),
+  ingredientPairValidation(param, 'otherId'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({error: errors.array()});
+    }
+
+    try {
+      const removed = await daoIngredients.removeIncompatibility(req.params.id, req.params.otherId, auditActor(req));
+      if (!removed) return res.status(404).json({ error: 'Incompatibility not found' });
+      res.status(204).end();
+      publishIngredients();
+    } catch (err) {
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+//#############################################################################
+// Audit APIs (managers only, TOTP authentication required)
+
+// How many audit entries a single request can get
+const AUDIT_LOG_MAX_LIMIT = 500;
+
+//----------------------------------------------------------------------------
+// Query the audit log, newest first
+// Every filter is optional: ?actor=<username>&entity_type=&entity_id=&from=&to=&limit=
+// from and to are ISO 8601 dates (to excluded), limit defaults to 100
+app.get('/api/audit-log', authorize({ roles: [ROLES.MANAGER], totp: true }), [
+  query('actor').optional().isString().trim().notEmpty().withMessage('Invalid actor'),
+  query('entity_type').optional().isIn(['user', 'order', 'ingredient', 'dish']).withMessage('entity_type must be user, order, ingredient or dish'),
+  query('entity_id').optional().isInt({min: 1}).withMessage('entity_id must be a positive integer').toInt(),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({min: 1, max: AUDIT_LOG_MAX_LIMIT})
+    .withMessage(`limit must be between 1 and ${AUDIT_LOG_MAX_LIMIT}`).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({error: errors.array()});
+  }
+
+  // (req.query is parsed again on every access, so the sanitized values come from matchedData)
+  const filters = matchedData(req, { locations: ['query'] });
+  try {
+    const entries = await daoAudit.getEntries({
+      actor: filters.actor,
+      entityType: filters.entity_type,
+      entityId: filters.entity_id,
+      from: filters.from,
+      to: filters.to,
+      limit: filters.limit ?? 100
+    });
+    res.json(entries);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+
+//----------------------------------------------------------------------------
+// Start the server, once the database schema is up to date
+db.ready
+  .then(() => {
+    app.listen(port, () => {
+      console.log(`Server running on http://localhost:${port}`);
+    });
+  })
+  .catch(err => {
+    console.error(`Error preparing the database: ${err.message}`);
+    process.exit(1);
+  });
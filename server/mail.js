@@ -0,0 +1,55 @@
+/**
+ * MAIL MODULE
+ *
+ * This file sends the e-mails of the application (e.g. password reset links)
+ * through a pluggable transport. A transport is any object with a
+ * send({ to, subject, text }) method returning a promise:
+ * - 'file' (default) writes every message as a text file in the outbox directory,
+ *   a stand-in for a real mail server during development
+ * - 'console' prints every message on the server console
+ * Other transports (e.g. SMTP) can be plugged in with setTransport().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+//----------------------------------------------------------------------------
+// Transport writing each message to <dir>/<timestamp>-<recipient>.txt
+function createFileTransport(dir) {
+  return {
+    send: async ({ to, subject, text }) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${to.replace(/[^\w.@-]/g, '_')}.txt`;
+      const content = `To: ${to}\nSubject: ${subject}\nDate: ${new Date().toUTCString()}\n\n${text}\n`;
+      await fs.promises.writeFile(path.join(dir, fileName), content);
+    }
+  };
+}
+
+//----------------------------------------------------------------------------
+// Transport printing each message on the console
+const consoleTransport = {
+  send: async ({ to, subject, text }) => {
+    console.log(`--- Mail to ${to}: ${subject}\n${text}\n---`);
+  }
+};
+
+let transport = consoleTransport;
+
+//----------------------------------------------------------------------------
+// Choose the transport from its configuration ({ transport: 'file' | 'console', dir })
+exports.configure = (options) => {
+  if (options.transport === 'file') transport = createFileTransport(options.dir);
+  else if (options.transport === 'console') transport = consoleTransport;
+  else throw new Error(`Unknown mail transport: ${options.transport}`);
+};
+
+//----------------------------------------------------------------------------
+// Replace the transport with a custom one
+exports.setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+//----------------------------------------------------------------------------
+// Send a message through the current transport
+exports.sendMail = (message) => transport.send(message);
@@ -0,0 +1,96 @@
+/**
+ * DATABASE MANAGEMENT COMMAND
+ *
+ * Usage: node manage-db.js <command> [file] [options]
+ *
+ *   create [file] [--no-seed] [--force]   create a new database with the full schema and the
+ *                                         demo data (--no-seed: empty; --force: replace the
+ *                                         file if it exists)
+ *   migrate [file]                        apply the pending migrations
+ *   seed [file]                           load the demo data into an empty database
+ *   status [file]                         list the migrations and whether they are applied
+ *
+ * file defaults to DB_PATH (see config.js). The server applies the migrations by itself
+ * at startup, so this is mostly useful to prepare databases for tests or deployments,
+ * e.g. node manage-db.js create /tmp/test.sqlite --no-seed
+ */
+
+const fs = require('fs');
+const sqlite3 = require('sqlite3');
+const config = require('./config');
+const migrations = require('./migrations');
+
+//----------------------------------------------------------------------------
+// Helper to open a database (created if missing) with foreign keys enforced
+function openDatabase(file) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      db.run('PRAGMA foreign_keys = ON', (err) => {
+        if (err) reject(err);
+        else resolve(db);
+      });
+    });
+  });
+}
+
+//----------------------------------------------------------------------------
+const commands = {
+  async create(file, options) {
+    if (file !== ':memory:' && fs.existsSync(file)) {
+      if (!options.force) throw new Error(`${file} already exists (use --force to replace it)`);
+      fs.rmSync(file);
+    }
+
+    const db = await openDatabase(file);
+    const { applied } = await migrations.migrate(db);
+    if (options.seed) await migrations.seed(db);
+    console.log(`Created ${file} with schema version ${applied[applied.length - 1]}` +
+      (options.seed ? ' and the demo data' : ''));
+    return db;
+  },
+
+  async migrate(file) {
+    const db = await openDatabase(file);
+    const { applied, adopted } = await migrations.migrate(db);
+    if (adopted) console.log('Adopted the database created before schema migrations (version 1)');
+    console.log(applied.length > 0 ? `Applied migrations: ${applied.join(', ')}` : 'The database is up to date');
+    return db;
+  },
+
+  async seed(file) {
+    const db = await openDatabase(file);
+    await migrations.seed(db);
+    console.log(`Loaded the demo data into ${file}`);
+    return db;
+  },
+
+  async status(file) {
+    const db = await openDatabase(file);
+    for (const migration of await migrations.status(db)) {
+      console.log(`${String(migration.version).padStart(3, '0')} ${migration.name}: ` +
+        (migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending'));
+    }
+    return db;
+  }
+};
+
+//----------------------------------------------------------------------------
+const [command, ...args] = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--')) || config.database.path;
+const options = { seed: !args.includes('--no-seed'), force: args.includes('--force') };
+
+if (!commands[command]) {
+  console.error('Usage: node manage-db.js create|migrate|seed|status [file] [--no-seed] [--force]');
+  process.exit(1);
+}
+
+commands[command](file, options)
+  .then(db => db.close())
+  .catch(err => {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,58 @@
+/**
+ * MENU CACHE MODULE
+ *
+ * The menu (dishes with their sizes, ingredients with their stock and constraints) is
+ * read on every poll of GET /api/dishes and GET /api/ingredients, but changes rarely.
+ * This file keeps the last assembled copy of each part in memory, so that it is not
+ * rebuilt from the database every time.
+ *
+ * A single version number covers the whole menu: the DAOs invalidate it after every
+ * transaction that changes dishes, sizes, ingredients, their constraints or stock
+ * (see invalidateAfter), committed or not. Each cached copy comes with a tag naming
+ * the version it was built for, which the routes use as ETag.
+ *
+ * Cached copies are shared by every request: they must not be modified.
+ */
+
+const crypto = require('crypto');
+
+// Changes at every start, so that tags given out by a previous run never match
+const BOOT_ID = crypto.randomBytes(6).toString('base64url');
+
+let version = 0;
+
+// Cached copies by name: { version, promise } (the promise resolves { data, tag })
+const entries = new Map();
+
+//----------------------------------------------------------------------------
+// Get the cached copy of a part of the menu, calling load() to build it if missing
+// or out of date (load must return a promise). Resolves { data, tag }.
+// Concurrent requests share the same load; a failed load is not kept.
+exports.get = (name, load) => {
+  const cached = entries.get(name);
+  if (cached && cached.version === version) return cached.promise;
+
+  const entry = { version };
+  entry.promise = load().then(data => ({ data, tag: `${BOOT_ID}-${name}-${entry.version}` }));
+  entries.set(name, entry);
+  entry.promise.catch(() => {
+    if (entries.get(name) === entry) entries.delete(name);
+  });
+  return entry.promise;
+};
+
+//----------------------------------------------------------------------------
+// Drop every cached copy: the next request rebuilds it
+exports.invalidate = () => {
+  version++;
+  entries.clear();
+};
+
+//----------------------------------------------------------------------------
+// Invalidate the cache once the given transaction is over, whatever its outcome
+// (while it is open, a load on the shared connection could see uncommitted changes)
+// Resolves or rejects like the transaction, e.g.
+// return menuCache.invalidateAfter(db.runInTransaction(...));
+exports.invalidateAfter = (transaction) => {
+  return transaction.finally(exports.invalidate);
+};
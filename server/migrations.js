@@ -0,0 +1,211 @@
+/**
+ * SCHEMA MIGRATIONS MODULE
+ *
+ * The schema of the database is built by the numbered SQL files of database/migrations,
+ * named <version>-<description>.sql (e.g. 014-order-prices.sql). Each file is applied once,
+ * in version order, inside a transaction; the schema_migrations table records which
+ * versions a database already has. To change the schema, add a new file with the next
+ * version: never edit a migration that has already been released.
+ *
+ * Migrations run with foreign keys enforced and cannot turn them off (SQLite ignores the
+ * pragma inside a transaction), so prefer ALTER TABLE to rebuilding a table. A table that
+ * other tables refer to can still be rebuilt with PRAGMA defer_foreign_keys = ON, copying
+ * its rows aside and inserting them back into the new table (see 006-order-status.sql).
+ *
+ * The demo data of database/seeds/demo.sql is not a migration: it is only loaded into
+ * new databases (see db.js and manage-db.js).
+ *
+ * Migration 001 is the schema of the original database/restaurant.sql. A database created
+ * from it before migrations existed (tables but no schema_migrations) is adopted: version 1
+ * is recorded without running it, and the later migrations bring the database up to date
+ * with its orders. Any other database without schema_migrations is refused.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'database', 'migrations');
+const SEED_FILE = path.join(__dirname, 'database', 'seeds', 'demo.sql');
+
+//----------------------------------------------------------------------------
+// Helper to turn a callback-based call of the sqlite3 connection into a promise
+// e.g. query(db, 'all', 'SELECT ...', [params])
+function query(db, method, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db[method](sql, params, function(err, result) {
+      if (err) reject(err);
+      else resolve(method === 'run' ? this : result);
+    });
+  });
+}
+
+//----------------------------------------------------------------------------
+// Helper to run SQL made of several statements (e.g. a whole file)
+function exec(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+//----------------------------------------------------------------------------
+// Helper to run work() as a single transaction (work must return a promise)
+// Migrations run before the server handles any request, so nothing else uses the
+// connection meanwhile and db.runInTransaction's queue is not needed
+async function inTransaction(db, work) {
+  await exec(db, 'BEGIN IMMEDIATE TRANSACTION');
+  try {
+    await work();
+  } catch (err) {
+    await exec(db, 'ROLLBACK');
+    throw err;
+  }
+  await exec(db, 'COMMIT');
+}
+
+//----------------------------------------------------------------------------
+// Get the migration files, in version order: [{ version, name, file }]
+function listMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = /^(\d+)-(.+)\.sql$/.exec(file);
+      return match && { version: Number(match[1]), name: match[2], file: path.join(MIGRATIONS_DIR, file) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Two migrations have version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+//----------------------------------------------------------------------------
+// Tell whether the database has the given table
+async function hasTable(db, name) {
+  const row = await query(db, 'get', `SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name = ?`, [name]);
+  return row.count > 0;
+}
+
+//----------------------------------------------------------------------------
+// Get the tables of the database with their columns: { table: [column, ...] }
+async function getTables(db) {
+  const tables = await query(db, 'all', `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`);
+  const result = {};
+  for (const { name } of tables) {
+    const columns = await query(db, 'all', 'SELECT name FROM pragma_table_info(?) ORDER BY cid', [name]);
+    result[name] = columns.map(column => column.name);
+  }
+  return result;
+}
+
+//----------------------------------------------------------------------------
+// Tell whether the database has the tables and columns created by the given migration
+// (applied to an empty in-memory database to compare them)
+async function matchesMigration(db, migration) {
+  const reference = await new Promise((resolve, reject) => {
+    const memory = new sqlite3.Database(':memory:', (err) => {
+      if (err) reject(err);
+      else resolve(memory);
+    });
+  });
+  try {
+    await exec(reference, fs.readFileSync(migration.file, 'utf8'));
+    return JSON.stringify(await getTables(db)) === JSON.stringify(await getTables(reference));
+  } finally {
+    reference.close();
+  }
+}
+
+//----------------------------------------------------------------------------
+// Get the versions already applied to the database, creating schema_migrations if needed
+async function getAppliedVersions(db) {
+  await query(db, 'run', `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const rows = await query(db, 'all', 'SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+//----------------------------------------------------------------------------
+// Tell whether the database has no tables at all (i.e. it has just been created)
+async function isEmpty(db) {
+  const row = await query(db, 'get', `SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'`);
+  return row.count === 0;
+}
+
+//----------------------------------------------------------------------------
+// Apply the migrations the database does not have yet
+// With seed true, a database that was empty also gets the demo data
+// Resolves { applied: [version, ...], seeded, adopted } (adopted: a database created
+// before migrations existed, now recorded as having migration 001)
+exports.migrate = async (db, { seed = false } = {}) => {
+  const migrations = listMigrations();
+  const wasEmpty = await isEmpty(db);
+  const adopted = !wasEmpty && !await hasTable(db, 'schema_migrations');
+  if (adopted && !await matchesMigration(db, migrations[0])) {
+    throw new Error(`The database has no schema_migrations table and its schema is not the one of migration ${migrations[0].version} ` +
+      `(${migrations[0].name}), so it cannot be upgraded`);
+  }
+  const appliedVersions = await getAppliedVersions(db);
+  if (adopted) {
+    await query(db, 'run', 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migrations[0].version, migrations[0].name]);
+    appliedVersions.push(migrations[0].version);
+  }
+
+  // A database migrated by a newer version of the server cannot be used safely
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const newest = appliedVersions.length > 0 ? appliedVersions[appliedVersions.length - 1] : 0;
+  if (newest > latest) {
+    throw new Error(`The database has schema version ${newest}, newer than this server (${latest})`);
+  }
+
+  const applied = [];
+  for (const migration of migrations) {
+    if (appliedVersions.includes(migration.version)) continue;
+
+    // The migration and its record are committed together
+    try {
+      await inTransaction(db, async () => {
+        await exec(db, fs.readFileSync(migration.file, 'utf8'));
+        await query(db, 'run', 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      });
+    } catch (err) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+    }
+    applied.push(migration.version);
+  }
+
+  const seeded = seed && wasEmpty;
+  if (seeded) await exports.seed(db);
+  return { applied, seeded, adopted };
+};
+
+//----------------------------------------------------------------------------
+// Load the demo data (into a database with the full schema and no data yet)
+exports.seed = (db) => {
+  return inTransaction(db, () => exec(db, fs.readFileSync(SEED_FILE, 'utf8')));
+};
+
+//----------------------------------------------------------------------------
+// Get the state of every migration: [{ version, name, appliedAt }], appliedAt null if pending
+// (it writes nothing: a database created before migrations existed is adopted by migrate)
+exports.status = async (db) => {
+  const rows = await hasTable(db, 'schema_migrations')
+    ? await query(db, 'all', 'SELECT version, applied_at FROM schema_migrations')
+    : [];
+  return listMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: rows.find(row => row.version === version)?.applied_at ?? null
+  }));
+};
@@ -0,0 +1,25 @@
+/**
+ * PRICES MODULE
+ *
+ * Prices are stored in euros as REAL values (e.g. 0.70), and adding them up as floating-point
+ * numbers gives amounts like 8.899999999999999. Every price the server computes goes through
+ * here instead: the quote, the total stored with an order and the order history all add up
+ * whole cents, so they always agree to the cent with what the customer was shown.
+ */
+
+// Helper to turn an amount in euros into whole cents
+const toCents = (amount) => Math.round(amount * 100);
+
+//----------------------------------------------------------------------------
+// Price of a dish: the price of its size plus every portion of its ingredients
+// ingredients: [{ price, quantity }], where price is the price of one portion
+exports.dishPrice = (sizePrice, ingredients) => {
+  const cents = ingredients.reduce((sum, ing) => sum + toCents(ing.price) * ing.quantity, toCents(sizePrice));
+  return cents / 100;
+};
+
+//----------------------------------------------------------------------------
+// Total of several prices, e.g. the dishes of an order
+exports.total = (prices) => {
+  return prices.reduce((sum, price) => sum + toCents(price), 0) / 100;
+};